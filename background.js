@@ -0,0 +1,596 @@
+// Volume controller background service worker
+'use strict';
+
+importScripts('rules.js', 'sync.js', 'presets.js', 'schedules.js');
+
+const DEFAULT_VOLUME_STEP = 10; // Default shortcut step in percent
+const MAX_VOLUME = 500;
+const SLEEP_ALARM_PREFIX = 'sleep-timer-';
+const SOLO_TAB_KEY = 'solo_tab';
+const QUIET_HOURS_ALARM = 'quiet-hours';
+
+// Context menu on pages and media elements
+const CONTEXT_MENU_CONTEXTS = ['page', 'video', 'audio'];
+
+// Toolbar badge colours per tab state
+const BADGE_COLORS = {
+  boosted: '#e8710a',
+  reduced: '#1a73e8',
+  muted: '#d93025',
+  disabled: '#9aa0a6'
+};
+
+// Load the configured shortcut step size (percent)
+async function getVolumeStep() {
+  const result = await chrome.storage.local.get(['shortcut_step']);
+  const step = parseInt(result.shortcut_step);
+  if (isNaN(step) || step <= 0) return DEFAULT_VOLUME_STEP;
+  return Math.min(MAX_VOLUME, step);
+}
+
+// Query the tab's volume from its content script (percent, before quiet hours)
+async function getTabVolume(tabId) {
+  const response = await chrome.tabs.sendMessage(tabId, {
+    action: 'getVolume'
+  }, {frameId: 0});
+
+  if (!response || !response.success) {
+    throw new Error(response && response.error ? response.error : 'No response from content script');
+  }
+  // Shortcuts step from the level before quiet hours, so a capped level is never saved
+  const volume = response.requestedVolume !== undefined ? response.requestedVolume : response.volume;
+  return Math.round(volume * 100);
+}
+
+// Apply a volume to the tab and persist it to the site rule that provides the tab's volume,
+// or to the tab's temporary override when it has one
+async function setTabVolume(tab, volume) {
+  const clamped = Math.max(0, Math.min(MAX_VOLUME, volume));
+
+  const response = await chrome.tabs.sendMessage(tab.id, {
+    action: 'setVolume',
+    volume: clamped / 100
+  });
+  if (!response || !response.success) {
+    throw new Error(response && response.error ? response.error : 'No response from content script');
+  }
+
+  if (await VolumeRules.getTabOverride(tab.id, tab.url)) {
+    await VolumeRules.setTabOverride(tab.id, tab.url, clamped);
+  } else {
+    await VolumeRules.saveForMatchingRule(tab.url, 'volume', {volume: clamped});
+  }
+
+  return clamped;
+}
+
+// Whether a tab is muted (separately from its volume, which stays untouched)
+async function isTabMuted(tabId) {
+  const key = `muted_${tabId}`;
+  const result = await chrome.storage.session.get([key]);
+  return Boolean(result[key]);
+}
+
+// Mute or unmute every frame of a tab; the state is kept for the tab's lifetime only
+async function setTabMuted(tabId, muted) {
+  if (muted) {
+    await chrome.storage.session.set({[`muted_${tabId}`]: true});
+  } else {
+    await chrome.storage.session.remove(`muted_${tabId}`);
+  }
+
+  await chrome.tabs.sendMessage(tabId, {action: 'setMuted', muted: muted}).catch(() => {
+    // Content script missing, frames pick the state up when they load
+  });
+  return muted;
+}
+
+async function toggleTabMute(tab) {
+  return setTabMuted(tab.id, !(await isTabMuted(tab.id)));
+}
+
+// Tab currently soloed, or null
+async function getSoloTab() {
+  const result = await chrome.storage.session.get([SOLO_TAB_KEY]);
+  return result[SOLO_TAB_KEY] !== undefined ? result[SOLO_TAB_KEY] : null;
+}
+
+// Mute every other tab until the solo is released
+async function setSoloTab(tabId) {
+  await chrome.storage.session.set({[SOLO_TAB_KEY]: tabId});
+
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, {
+      action: 'setMuted',
+      muted: tab.id !== tabId,
+      solo: true
+    }).catch(() => {
+      // No content script in this tab
+    });
+  });
+}
+
+// Unmute the tabs the solo silenced
+async function releaseSolo() {
+  await chrome.storage.session.remove(SOLO_TAB_KEY);
+
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, {action: 'setMuted', muted: false, solo: true}).catch(() => {
+      // No content script in this tab
+    });
+  });
+}
+
+// Auto duck settings of a tab's site rule ({enabled, amount}), or null when it didn't opt in
+async function getDuckSettings(url) {
+  const settings = await VolumeRules.getSettingsForUrl(url);
+  return settings.duck && settings.duck.enabled ? settings.duck : null;
+}
+
+// Tabs that make opted-in tabs duck: audible, not muted and not ducking themselves
+async function getDuckingTriggers() {
+  const audibleTabs = await chrome.tabs.query({audible: true});
+  const triggers = await Promise.all(audibleTabs.map(async tab => {
+    if (tab.mutedInfo && tab.mutedInfo.muted) return null;
+    return await getDuckSettings(tab.url) ? null : tab.id;
+  }));
+  return triggers.filter(tabId => tabId !== null);
+}
+
+// Ducking state for a tab given the current triggers: {ducked, amount}
+async function getDuckState(tab, triggers) {
+  const settings = await getDuckSettings(tab.url);
+  return {
+    ducked: Boolean(settings) && triggers.some(tabId => tabId !== tab.id),
+    amount: settings ? settings.amount : 0
+  };
+}
+
+// Duck opted-in tabs while another tab plays, restore them once none does
+async function updateDucking() {
+  const triggers = await getDuckingTriggers();
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.map(async tab => {
+    const state = await getDuckState(tab, triggers);
+    await chrome.tabs.sendMessage(tab.id, {action: 'setDucked', ...state}).catch(() => {
+      // No content script in this tab
+    });
+  }));
+}
+
+// Handle a keyboard shortcut for the given tab
+async function handleCommand(command, tab) {
+  if (!tab || tab.id === undefined || !tab.url) {
+    console.log('No active tab for command:', command);
+    return;
+  }
+
+  switch (command) {
+    case 'volume-up': {
+      const [currentVolume, step] = await Promise.all([getTabVolume(tab.id), getVolumeStep()]);
+      return setTabVolume(tab, currentVolume + step);
+    }
+    case 'volume-down': {
+      const [currentVolume, step] = await Promise.all([getTabVolume(tab.id), getVolumeStep()]);
+      return setTabVolume(tab, currentVolume - step);
+    }
+    case 'toggle-mute': {
+      const muted = await toggleTabMute(tab);
+      console.log(`Command ${command} ${muted ? 'muted' : 'unmuted'} the tab`);
+      return;
+    }
+    case 'reset-volume':
+      return setTabVolume(tab, 100);
+    default:
+      console.warn('Unknown command:', command);
+  }
+}
+
+chrome.commands.onCommand.addListener(function(command, tab) {
+  handleCommand(command, tab).then(volume => {
+    if (volume !== undefined) {
+      console.log(`Command ${command} set volume to:`, volume);
+    }
+  }).catch(error => {
+    // Content script missing (chrome:// pages) or disabled on this website
+    console.log(`Command ${command} not applied:`, error.message);
+  });
+});
+
+// Show a tab's volume on the toolbar icon: nothing at 100%, "M" when muted, "OFF" when disabled
+function updateBadge(tabId, state) {
+  let text = '';
+  let color = BADGE_COLORS.reduced;
+
+  if (state && state.disabled) {
+    text = 'OFF';
+    color = BADGE_COLORS.disabled;
+  } else if (state) {
+    const volume = Math.round(state.volume * 100);
+    if (state.muted || volume === 0) {
+      text = 'M';
+      color = BADGE_COLORS.muted;
+    } else if (volume !== 100) {
+      text = String(volume);
+      color = volume > 100 ? BADGE_COLORS.boosted : BADGE_COLORS.reduced;
+    }
+  }
+
+  chrome.action.setBadgeText({tabId: tabId, text: text}).catch(() => {
+    // Tab closed in the meantime
+  });
+  if (text) {
+    chrome.action.setBadgeBackgroundColor({tabId: tabId, color: color}).catch(() => {});
+    chrome.action.setBadgeTextColor({tabId: tabId, color: '#ffffff'}).catch(() => {});
+  }
+}
+
+// Ask a tab's top frame for its state and refresh the badge
+function refreshBadge(tabId) {
+  chrome.tabs.sendMessage(tabId, {action: 'getStatus'}, {frameId: 0}).then(response => {
+    const state = response && response.success ? response.status : null;
+    updateBadge(tabId, state);
+    updateDisableMenu(state);
+  }).catch(() => {
+    // No content script (browser pages), leave the badge empty
+    updateBadge(tabId, null);
+  });
+}
+
+// Tab switches refresh the badge, e.g. after the worker was restarted
+chrome.tabs.onActivated.addListener(function(activeInfo) {
+  refreshBadge(activeInfo.tabId);
+});
+
+// A new page starts without a badge until its content script reports in
+chrome.webNavigation.onCommitted.addListener(function(details) {
+  if (details.frameId === 0) {
+    updateBadge(details.tabId, null);
+  }
+});
+
+// Build the right-click menu: the user's volume presets, mute toggle and disable on this site
+async function createContextMenus() {
+  const presets = await VolumePresets.load();
+
+  chrome.contextMenus.removeAll(function() {
+    chrome.contextMenus.create({
+      id: 'volume-controller',
+      title: 'Volume Controller',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+
+    presets.forEach(preset => {
+      const volumeLabel = `${preset.volume}%`;
+      chrome.contextMenus.create({
+        id: `volume-preset-${preset.id}`,
+        parentId: 'volume-controller',
+        title: preset.label === volumeLabel ? volumeLabel : `${preset.label} (${volumeLabel})`,
+        contexts: CONTEXT_MENU_CONTEXTS
+      });
+    });
+
+    chrome.contextMenus.create({
+      id: 'separator-presets',
+      parentId: 'volume-controller',
+      type: 'separator',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+    chrome.contextMenus.create({
+      id: 'toggle-mute',
+      parentId: 'volume-controller',
+      title: 'Mute / unmute',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+    chrome.contextMenus.create({
+      id: 'disable-site',
+      parentId: 'volume-controller',
+      title: 'Disable on this site',
+      type: 'checkbox',
+      contexts: CONTEXT_MENU_CONTEXTS
+    });
+  });
+}
+
+// Keep the "Disable on this site" checkbox in step with the active tab
+function updateDisableMenu(state) {
+  chrome.contextMenus.update('disable-site', {checked: Boolean(state && state.disabled)}, function() {
+    // Menu not created yet
+    void chrome.runtime.lastError;
+  });
+}
+
+// Disable or enable the controller on the tab's site and reload it to apply
+async function setTabDisabled(tab, disabled) {
+  await VolumeRules.saveForMatchingRule(tab.url, 'disabled', {disabled: disabled});
+
+  await chrome.tabs.sendMessage(tab.id, {
+    action: 'setDisabled',
+    disabled: disabled
+  }).catch(() => {
+    // Content script not ready, the reload picks the state up
+  });
+  await chrome.tabs.reload(tab.id);
+}
+
+// Apply a preset like the popup's buttons do: volume, plus the equalizer and speed it carries
+async function applyPreset(tab, preset) {
+  await setTabVolume(tab, preset.volume);
+
+  const gains = preset.eq ? VolumePresets.EQ_PRESETS[preset.eq] : null;
+  if (gains) {
+    await chrome.tabs.sendMessage(tab.id, {action: 'setEqualizer', gains: gains});
+    const hostname = new URL(tab.url).hostname || 'unknown';
+    await chrome.storage.local.set({[`eq_url_${hostname}`]: {preset: preset.eq, gains: gains}});
+  }
+
+  if (preset.speed !== undefined) {
+    // Keep the tab's pitch setting, the preset only changes the rate
+    const current = await chrome.tabs.sendMessage(tab.id, {action: 'getPlaybackRate'}, {frameId: 0});
+    const speed = {
+      rate: preset.speed,
+      preservePitch: !(current && current.settings && current.settings.preservePitch === false)
+    };
+    await chrome.tabs.sendMessage(tab.id, {action: 'setPlaybackRate', settings: speed});
+    // Same scope the popup's preset buttons save at
+    await VolumeRules.saveForScope(tab.url, {speed: speed});
+  }
+}
+
+// Handle a context menu click for the given tab
+async function handleContextMenu(info, tab) {
+  if (!tab || tab.id === undefined || !tab.url) return;
+
+  if (info.menuItemId.startsWith('volume-preset-')) {
+    const id = info.menuItemId.slice('volume-preset-'.length);
+    const preset = (await VolumePresets.load()).find(candidate => candidate.id === id);
+    return preset ? applyPreset(tab, preset) : undefined;
+  }
+
+  switch (info.menuItemId) {
+    case 'toggle-mute':
+      return toggleTabMute(tab);
+    case 'disable-site':
+      return setTabDisabled(tab, info.checked);
+  }
+}
+
+chrome.contextMenus.onClicked.addListener(function(info, tab) {
+  handleContextMenu(info, tab).catch(error => {
+    // Content script missing (chrome:// pages) or disabled on this website
+    console.log(`Context menu ${info.menuItemId} not applied:`, error.message);
+  });
+});
+
+// Start a sleep timer for a tab; the alarm fires `fadeSeconds` early so media pauses on time
+async function startSleepTimer(tabId, minutes, fadeSeconds) {
+  const endTime = Date.now() + minutes * 60 * 1000;
+  const timer = {endTime: endTime, fadeSeconds: fadeSeconds};
+
+  await chrome.storage.session.set({[`sleep_timer_${tabId}`]: timer});
+  await chrome.alarms.create(`${SLEEP_ALARM_PREFIX}${tabId}`, {
+    when: Math.max(Date.now(), endTime - fadeSeconds * 1000)
+  });
+  return timer;
+}
+
+// Cancel a tab's sleep timer
+async function cancelSleepTimer(tabId) {
+  await chrome.alarms.clear(`${SLEEP_ALARM_PREFIX}${tabId}`);
+  await chrome.storage.session.remove(`sleep_timer_${tabId}`);
+}
+
+// Get a tab's running sleep timer, or null
+async function getSleepTimer(tabId) {
+  const key = `sleep_timer_${tabId}`;
+  const result = await chrome.storage.session.get([key]);
+  return result[key] || null;
+}
+
+// Wake up at the next time a quiet hours window starts or ends
+async function scheduleQuietHours() {
+  const next = VolumeSchedules.getNextChange(await VolumeSchedules.load(), new Date());
+  await chrome.alarms.clear(QUIET_HOURS_ALARM);
+  if (next) {
+    chrome.alarms.create(QUIET_HOURS_ALARM, {when: next.getTime()});
+  }
+}
+
+// Let every tab re-resolve its volume under the current quiet hours
+async function notifyQuietHoursChanged() {
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, {action: 'quietHoursChanged'}).catch(() => {
+      // No content script on this tab
+    });
+  });
+}
+
+function updateQuietHours() {
+  notifyQuietHoursChanged().then(scheduleQuietHours).catch(error => {
+    console.error('Failed to update quiet hours:', error);
+  });
+}
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+  if (alarm.name === QUIET_HOURS_ALARM) {
+    updateQuietHours();
+    return;
+  }
+
+  // Sleep timer reached its fade start: fade out and pause the tab's media
+  if (!alarm.name.startsWith(SLEEP_ALARM_PREFIX)) return;
+
+  const tabId = parseInt(alarm.name.slice(SLEEP_ALARM_PREFIX.length));
+  getSleepTimer(tabId).then(timer => {
+    chrome.storage.session.remove(`sleep_timer_${tabId}`);
+    if (!timer) return;
+
+    const remaining = Math.max(0, Math.round((timer.endTime - Date.now()) / 1000));
+    return chrome.tabs.sendMessage(tabId, {
+      action: 'sleepFade',
+      duration: Math.min(timer.fadeSeconds, remaining)
+    });
+  }).catch(error => {
+    console.log('Sleep timer could not reach tab:', error.message);
+  });
+});
+
+// Drop per-tab mute state, solo, volume overrides and timers when the tab goes away
+chrome.tabs.onRemoved.addListener(function(tabId) {
+  chrome.storage.session.remove(`muted_${tabId}`);
+  getSoloTab().then(soloTabId => {
+    if (soloTabId === tabId) releaseSolo();
+  });
+  VolumeRules.clearTabOverride(tabId);
+  cancelSleepTimer(tabId);
+  updateDucking().catch(error => {
+    console.error('Failed to update ducking:', error);
+  });
+});
+
+// Create the context menu and move hostname-keyed settings from older versions into site rules
+chrome.runtime.onInstalled.addListener(function() {
+  createContextMenus().catch(error => {
+    console.error('Failed to create context menu:', error);
+  });
+  VolumeRules.migrateLegacyKeys().catch(error => {
+    console.error('Failed to migrate site settings:', error);
+  });
+  scheduleQuietHours().catch(error => {
+    console.error('Failed to schedule quiet hours:', error);
+  });
+});
+
+// Edited presets show up in the context menu right away
+chrome.storage.onChanged.addListener(function(changes, areaName) {
+  if (areaName === 'local' && changes[VolumePresets.PRESETS_KEY]) {
+    createContextMenus().catch(error => {
+      console.error('Failed to update context menu:', error);
+    });
+  }
+  // Edited quiet hours apply to open tabs right away
+  if (areaName === 'local' && changes[VolumeSchedules.SCHEDULES_KEY]) {
+    updateQuietHours();
+  }
+  // Opting a site in or out of ducking changes which tabs trigger it
+  if (areaName === 'local' && changes[VolumeRules.RULES_KEY]) {
+    updateDucking().catch(error => {
+      console.error('Failed to update ducking:', error);
+    });
+  }
+});
+
+// Pick up settings changed on other devices while the browser was closed
+chrome.runtime.onStartup.addListener(function() {
+  SettingsSync.synchronize().catch(() => {
+    // Recorded in the sync status
+  });
+  scheduleQuietHours().catch(error => {
+    console.error('Failed to schedule quiet hours:', error);
+  });
+});
+
+// Duck opted-in tabs when another tab starts or stops playing, or a tab moves to a page
+// with other auto duck settings
+chrome.tabs.onUpdated.addListener(function(tabId, changeInfo) {
+  if (changeInfo.audible !== undefined || changeInfo.mutedInfo !== undefined || changeInfo.url !== undefined) {
+    updateDucking().catch(error => {
+      console.error('Failed to update ducking:', error);
+    });
+  }
+});
+
+// Track site visits so sync prunes the least recently used sites first
+chrome.tabs.onUpdated.addListener(function(tabId, changeInfo, tab) {
+  if (changeInfo.status === 'complete' && tab.url) {
+    SettingsSync.recordSiteVisit(tab.url).catch(error => {
+      console.error('Failed to record site visit:', error);
+    });
+  }
+});
+
+// Send the result of an async handler back to the message sender
+function respondWith(promise, sendResponse) {
+  promise.then(result => {
+    sendResponse({success: true, ...result});
+  }).catch(error => {
+    sendResponse({success: false, error: error.message});
+  });
+  return true; // Keep the message channel open for async response
+}
+
+// Messages from content scripts and the popup
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'getTabUrl') {
+    // Subframes can't read the tab's URL themselves, answer on their behalf
+    sendResponse({success: true, url: sender.tab ? sender.tab.url : null});
+    return true;
+  } else if (request.action === 'getMuteState') {
+    if (!sender.tab) {
+      sendResponse({success: true, muted: false, soloMuted: false});
+      return true;
+    }
+    const tabId = sender.tab.id;
+    return respondWith(Promise.all([isTabMuted(tabId), getSoloTab()]).then(([muted, soloTabId]) => ({
+      muted: muted,
+      soloMuted: soloTabId !== null && soloTabId !== tabId
+    })), sendResponse);
+  } else if (request.action === 'getDuckState') {
+    if (!sender.tab) {
+      sendResponse({success: true, ducked: false, amount: 0});
+      return true;
+    }
+    return respondWith(getDuckingTriggers().then(triggers => getDuckState(sender.tab, triggers)), sendResponse);
+  } else if (request.action === 'setTabMuted') {
+    return respondWith(setTabMuted(request.tabId, Boolean(request.muted)).then(muted => ({muted})), sendResponse);
+  } else if (request.action === 'getSolo') {
+    return respondWith(getSoloTab().then(tabId => ({tabId})), sendResponse);
+  } else if (request.action === 'setSolo') {
+    const changed = request.solo ? setSoloTab(request.tabId) : releaseSolo();
+    return respondWith(changed.then(() => ({})), sendResponse);
+  } else if (request.action === 'reportState') {
+    if (sender.tab && sender.frameId === 0) {
+      const state = {volume: request.volume, muted: request.muted, disabled: request.disabled};
+      updateBadge(sender.tab.id, state);
+      if (sender.tab.active) {
+        updateDisableMenu(state);
+      }
+    }
+    sendResponse({success: true});
+    return true;
+  } else if (request.action === 'getTabVolumeOverride') {
+    // Content scripts can't read session storage or know their tab id
+    if (!sender.tab) {
+      sendResponse({success: true, override: null});
+      return true;
+    }
+    return respondWith(VolumeRules.getTabOverride(sender.tab.id, request.url).then(override => ({override})), sendResponse);
+  } else if (request.action === 'startSleepTimer') {
+    const minutes = Math.max(1, Math.min(24 * 60, Number(request.minutes) || 0));
+    const fadeSeconds = Math.max(0, Math.min(600, Number(request.fadeSeconds) || 0));
+    return respondWith(startSleepTimer(request.tabId, minutes, fadeSeconds).then(timer => ({timer})), sendResponse);
+  } else if (request.action === 'cancelSleepTimer') {
+    return respondWith(cancelSleepTimer(request.tabId).then(() => ({})), sendResponse);
+  } else if (request.action === 'getSleepTimer') {
+    return respondWith(getSleepTimer(request.tabId).then(timer => ({timer})), sendResponse);
+  } else if (request.action === 'setSyncEnabled') {
+    return respondWith(SettingsSync.setEnabled(request.enabled).then(status => ({status})), sendResponse);
+  } else if (request.action === 'syncNow') {
+    return respondWith(SettingsSync.synchronize().then(status => ({status})), sendResponse);
+  }
+});
+
+// Single page apps change path without reloading, let the content script re-resolve its rules
+chrome.webNavigation.onHistoryStateUpdated.addListener(function(details) {
+  if (details.frameId !== 0) return;
+
+  chrome.tabs.sendMessage(details.tabId, {
+    action: 'urlChanged',
+    url: details.url
+  }).catch(() => {
+    // No content script on this page
+  });
+});
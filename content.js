@@ -5,27 +5,103 @@
   let currentVolume = 1.0;
   let audioContext = null;
   let gainNode = null;
+  let inputNode = null; // Entry point of the graph, all media sources connect here
+  let eqFilters = [];
+  let limiterNode = null;
+  let meterInputNode = null; // Level meter tap on the final output
+  let meterAnalysers = []; // Left and right channel analysers
+  let loudnessAnalyser = null; // Pre-gain tap measuring source loudness for auto level
+  let stereoInputNode = null; // Entry of the stereo stage (mono sources are up-mixed)
+  let stereoMatrix = null; // Channel routing gains {ll, rl, lr, rr}: input channel -> output channel
+  let voiceInputNode = null; // Entry of the voice boost stage
+  let voiceSpeechGain = null; // Level of the band-passed centre added back in
+  let voiceSideGains = []; // Side (L-R) level for the left and right output
   let mediaElements = [];
   let connectedElements = new WeakSet(); // Track connected elements
+  let fallbackElements = new WeakSet(); // Elements driven through element.volume, Web Audio couldn't take them
+  let pageGraphCount = 0; // AudioContexts of the page routed through page-world.js
+  let pageRoutedElements = new WeakSet(); // Elements page-world.js saw captured into a routed context
+  let elementSettings = new WeakMap(); // Per-element volume and mute state
+  let nextElementId = 1;
   let mutationObserver = null;
+  let observedShadowRoots = new WeakSet(); // Open shadow roots watched by mutationObserver
   let isCleanedUp = false;
   let lastMediaQuery = 0;
   let mediaQueryThrottleTime = 500; // Throttle media element queries to 500ms
   let initializationAttempted = false;
   let isExtensionDisabled = false;
+  let volumeRuleId = null; // Site rule that provided the current volume
+  let quietHours = []; // Quiet hours schedules in effect for this page [{schedule, until}]
+  let quietHoursKey = ''; // Ids and limits of those schedules, to notice when they change
+  let requestedVolume = 1.0; // Level from the user or the site rules; currentVolume is it after quiet hours
+  let stereoRuleId = null; // Site rule that provided the current stereo settings
+  let speedRuleId = null; // Site rule that provided the current playback speed
+  let voiceRuleId = null; // Site rule that provided the current voice boost settings
+
+  // 10-band graphic equalizer center frequencies (Hz)
+  const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+  const EQ_MAX_GAIN = 12; // dB
+  let eqGains = EQ_FREQUENCIES.map(() => 0);
+
+  // Limiter/compressor after the gain stage to prevent clipping when boosting
+  const DEFAULT_LIMITER_SETTINGS = {enabled: false, threshold: -6, ratio: 20};
+  let limiterSettings = {...DEFAULT_LIMITER_SETTINGS};
+
+  // Stereo stage: balance (-100 left .. 100 right), mode 'stereo', 'mono' or 'swap'
+  const DEFAULT_STEREO_SETTINGS = {balance: 0, mode: 'stereo'};
+  const STEREO_MODES = ['stereo', 'mono', 'swap'];
+  let stereoSettings = {...DEFAULT_STEREO_SETTINGS};
+
+  // Voice boost: mid/side split, speech band of the centre boosted, sides lowered
+  const DEFAULT_VOICE_SETTINGS = {enabled: false, intensity: 50};
+  const VOICE_BAND = [300, 3400]; // Hz, telephone speech band
+  const VOICE_MAX_SPEECH_GAIN = 1.5; // Added speech band level at full intensity (about +8 dB)
+  const VOICE_MAX_SIDE_CUT = 0.6; // Side reduction at full intensity
+  let voiceSettings = {...DEFAULT_VOICE_SETTINGS};
+
+  // Playback speed for all tracked media, only touched once the user picked a speed
+  const DEFAULT_SPEED_SETTINGS = {rate: 1.0, preservePitch: true};
+  let speedSettings = {...DEFAULT_SPEED_SETTINGS};
+  let isPlaybackRateSet = false;
+
+  // Sleep timer fade-out before pausing all media
+  const SLEEP_FADE_INTERVAL = 100; // ms between fade steps
+  let sleepFadeFactor = 1.0;
+  let sleepFadeTimer = null;
+
+  // Auto duck: the background lowers opted-in pages while another tab plays
+  const DUCK_INTERVAL = 50; // ms between ramp steps
+  const DUCK_ATTACK = 0.3; // seconds to duck
+  const DUCK_RELEASE = 2; // seconds to restore
+  let duckTarget = 1.0;
+  let duckFactor = 1.0;
+  let duckTimer = null;
+
+  // Mute is kept apart from the volume so unmuting restores it; never saved to site rules.
+  // Solo mutes every other tab, set by the background while another tab is soloed.
+  let isMuted = false;
+  let isSoloMuted = false;
+
+  // Auto level: steer the gain toward a target loudness measured over a rolling window
+  const DEFAULT_AUTO_LEVEL_SETTINGS = {enabled: false, target: -20, attack: 0.5, release: 3, maxBoost: 12};
+  const AUTO_LEVEL_INTERVAL = 100; // ms between loudness measurements
+  const AUTO_LEVEL_WINDOW = 3000; // ms of loudness history
+  const AUTO_LEVEL_SILENCE = -60; // dBFS, quieter measurements are ignored
+  let autoLevelSettings = {...DEFAULT_AUTO_LEVEL_SETTINGS};
+  let autoLevelFactor = 1.0; // Linear gain applied on top of currentVolume
+  let autoLevelHistory = []; // Mean-square measurements in the window
+  let autoLevelTimer = null;
+  let autoLevelBuffer = null;
+
+  // Level meter streaming to the popup over a long-lived port
+  const LEVEL_METER_INTERVAL = 50; // ms between level updates
+  const frameToken = Math.random().toString(36).slice(2); // Tells this frame's levels apart in the popup
 
   // Check if extension is disabled for this website
   function checkDisabledState() {
-    const hostname = getHostnameFromLocation();
-    const storageKey = `disabled_${hostname}`;
-
-    chrome.storage.local.get([storageKey], function(result) {
-      if (chrome.runtime.lastError) {
-        console.log('Failed to check disabled state:', chrome.runtime.lastError);
-        return;
-      }
-
-      isExtensionDisabled = result[storageKey] || false;
+    getPageUrl().then(url => VolumeRules.getSettingsForUrl(url)).then(settings => {
+      isExtensionDisabled = settings.disabled;
+      reportState();
 
       if (isExtensionDisabled) {
         console.log('Volume Controller is disabled on this website');
@@ -35,10 +111,215 @@
 
       // Initialize if not disabled
       initializeExtension();
+    }).catch(error => {
+      console.log('Failed to check disabled state:', error);
+    });
+  }
+
+  // Tell the background the tab's volume for the toolbar badge (top frame only)
+  function reportState() {
+    if (window !== window.top) return;
+
+    chrome.runtime.sendMessage({
+      action: 'reportState',
+      volume: currentVolume,
+      muted: isMuted || isSoloMuted,
+      disabled: isExtensionDisabled
+    }).catch(() => {
+      // Background not reachable (extension reloaded)
+    });
+  }
+
+  // URL used to match site rules; subframes ask the background for the tab's URL
+  function getPageUrl() {
+    if (window === window.top) {
+      return Promise.resolve(window.location.href);
+    }
+
+    return chrome.runtime.sendMessage({action: 'getTabUrl'}).then(response => {
+      return response && response.url ? response.url : window.location.href;
+    });
+  }
+
+  // Create the equalizer filter chain (lowshelf, peaking bands, highshelf)
+  function createEqualizerFilters() {
+    return EQ_FREQUENCIES.map((frequency, index) => {
+      const filter = audioContext.createBiquadFilter();
+      if (index === 0) {
+        filter.type = 'lowshelf';
+      } else if (index === EQ_FREQUENCIES.length - 1) {
+        filter.type = 'highshelf';
+      } else {
+        filter.type = 'peaking';
+        filter.Q.value = 1.4; // Roughly one octave wide
+      }
+      filter.frequency.value = frequency;
+      filter.gain.value = eqGains[index];
+      return filter;
+    });
+  }
+
+  // Apply limiter settings to the compressor node
+  function applyLimiterParameters() {
+    limiterNode.threshold.setTargetAtTime(limiterSettings.threshold, audioContext.currentTime, 0.05);
+    limiterNode.ratio.setTargetAtTime(limiterSettings.ratio, audioContext.currentTime, 0.05);
+  }
+
+  // Route gainNode to the destination, through the limiter when enabled,
+  // and tap the final output into the level meter
+  function updateOutputRouting() {
+    gainNode.disconnect();
+    limiterNode.disconnect();
+
+    let outputNode = gainNode;
+    if (limiterSettings.enabled) {
+      gainNode.connect(limiterNode);
+      outputNode = limiterNode;
+    }
+
+    outputNode.connect(audioContext.destination);
+    outputNode.connect(meterInputNode);
+  }
+
+  // Create the stereo level meter tap (mono sources are up-mixed to both channels)
+  function createLevelMeter() {
+    meterInputNode = audioContext.createGain();
+    meterInputNode.channelCount = 2;
+    meterInputNode.channelCountMode = 'explicit';
+    meterInputNode.channelInterpretation = 'speakers';
+
+    const splitter = audioContext.createChannelSplitter(2);
+    meterInputNode.connect(splitter);
+
+    meterAnalysers = [0, 1].map(channel => {
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 1024;
+      splitter.connect(analyser, channel);
+      return analyser;
+    });
+  }
+
+  // Create the stereo stage: splitter -> 2x2 gain matrix -> merger. Returns the merger.
+  function createStereoStage() {
+    stereoInputNode = audioContext.createGain();
+    stereoInputNode.channelCount = 2;
+    stereoInputNode.channelCountMode = 'explicit';
+    stereoInputNode.channelInterpretation = 'speakers';
+
+    const splitter = audioContext.createChannelSplitter(2);
+    const merger = audioContext.createChannelMerger(2);
+    stereoInputNode.connect(splitter);
+
+    // Key: input channel letter + output channel letter
+    stereoMatrix = {};
+    [['ll', 0, 0], ['rl', 1, 0], ['lr', 0, 1], ['rr', 1, 1]].forEach(([key, input, output]) => {
+      const gain = audioContext.createGain();
+      splitter.connect(gain, input);
+      gain.connect(merger, 0, output);
+      stereoMatrix[key] = gain;
+    });
+
+    applyStereoMatrix();
+    return merger;
+  }
+
+  // Create the voice boost stage. Left/right are split into mid (L+R)/2 and side (L-R)/2,
+  // the speech band of the mid is added back on top and the side is lowered:
+  //   L = mid + speech + side * s, R = mid + speech - side * s
+  // With the boost off (speech 0, s 1) the output equals the input. Returns the output merger.
+  function createVoiceStage() {
+    voiceInputNode = audioContext.createGain();
+    voiceInputNode.channelCount = 2;
+    voiceInputNode.channelCountMode = 'explicit';
+    voiceInputNode.channelInterpretation = 'speakers';
+
+    const splitter = audioContext.createChannelSplitter(2);
+    const merger = audioContext.createChannelMerger(2);
+    voiceInputNode.connect(splitter);
+
+    const mid = audioContext.createGain();
+    const side = audioContext.createGain();
+    [[0, 0.5, 0.5], [1, 0.5, -0.5]].forEach(([channel, midLevel, sideLevel]) => {
+      const toMid = audioContext.createGain();
+      toMid.gain.value = midLevel;
+      splitter.connect(toMid, channel);
+      toMid.connect(mid);
+
+      const toSide = audioContext.createGain();
+      toSide.gain.value = sideLevel;
+      splitter.connect(toSide, channel);
+      toSide.connect(side);
+    });
+
+    // Speech band of the centre
+    const highpass = audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = VOICE_BAND[0];
+    const lowpass = audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = VOICE_BAND[1];
+    voiceSpeechGain = audioContext.createGain();
+    mid.connect(highpass);
+    highpass.connect(lowpass);
+    lowpass.connect(voiceSpeechGain);
+
+    // Side goes to the left as is and to the right inverted
+    voiceSideGains = [audioContext.createGain(), audioContext.createGain()];
+    voiceSideGains.forEach((gain, channel) => {
+      side.connect(gain);
+      gain.connect(merger, 0, channel);
+      mid.connect(merger, 0, channel);
+      voiceSpeechGain.connect(merger, 0, channel);
+    });
+
+    applyVoiceParameters();
+    return merger;
+  }
+
+  // Apply voice boost settings to the stage gains
+  function applyVoiceParameters() {
+    const amount = voiceSettings.enabled ? voiceSettings.intensity / 100 : 0;
+    const sideLevel = 1 - VOICE_MAX_SIDE_CUT * amount;
+    const time = audioContext.currentTime;
+
+    voiceSpeechGain.gain.setTargetAtTime(VOICE_MAX_SPEECH_GAIN * amount, time, 0.05);
+    voiceSideGains[0].gain.setTargetAtTime(sideLevel, time, 0.05);
+    voiceSideGains[1].gain.setTargetAtTime(-sideLevel, time, 0.05);
+  }
+
+  // Compute matrix gains for the current stereo settings
+  function getStereoMatrixGains() {
+    let gains;
+    if (stereoSettings.mode === 'mono') {
+      gains = {ll: 0.5, rl: 0.5, lr: 0.5, rr: 0.5};
+    } else if (stereoSettings.mode === 'swap') {
+      gains = {ll: 0, rl: 1, lr: 1, rr: 0};
+    } else {
+      gains = {ll: 1, rl: 0, lr: 0, rr: 1};
+    }
+
+    // Balance attenuates the opposite side
+    const balance = stereoSettings.balance / 100;
+    const leftScale = balance > 0 ? 1 - balance : 1;
+    const rightScale = balance < 0 ? 1 + balance : 1;
+    gains.ll *= leftScale;
+    gains.rl *= leftScale;
+    gains.lr *= rightScale;
+    gains.rr *= rightScale;
+    return gains;
+  }
+
+  // Apply stereo settings to the matrix gains
+  function applyStereoMatrix() {
+    const gains = getStereoMatrixGains();
+    Object.keys(stereoMatrix).forEach(key => {
+      stereoMatrix[key].gain.setTargetAtTime(gains[key], audioContext.currentTime, 0.05);
     });
   }
 
   // Initialize audio context and gain node
+  // Graph: media sources -> element gains -> inputNode -> equalizer bands -> voice stage -> stereo stage
+  //        -> gainNode -> [limiter] -> destination + level meter
   function initializeAudioContext() {
     if (initializationAttempted) return audioContext !== null;
     initializationAttempted = true;
@@ -46,9 +327,32 @@
     try {
       audioContext = new (window.AudioContext || window.webkitAudioContext)();
       gainNode = audioContext.createGain();
-      gainNode.connect(audioContext.destination);
       gainNode.gain.value = currentVolume;
 
+      limiterNode = audioContext.createDynamicsCompressor();
+      limiterNode.knee.value = 0; // Hard knee for limiting
+      limiterNode.attack.value = 0.003;
+      limiterNode.release.value = 0.25;
+      applyLimiterParameters();
+      createLevelMeter();
+      updateOutputRouting();
+
+      inputNode = audioContext.createGain();
+      eqFilters = createEqualizerFilters();
+      const voiceOutputNode = createVoiceStage();
+      const stereoOutputNode = createStereoStage();
+      [inputNode, ...eqFilters, voiceInputNode].reduce((previous, node) => {
+        previous.connect(node);
+        return node;
+      });
+      voiceOutputNode.connect(stereoInputNode);
+      stereoOutputNode.connect(gainNode);
+
+      loudnessAnalyser = audioContext.createAnalyser();
+      loudnessAnalyser.fftSize = 2048;
+      eqFilters[eqFilters.length - 1].connect(loudnessAnalyser);
+      updateAutoLevelTimer();
+
       // AudioContext starts in suspended state due to autoplay policy
       if (audioContext.state === 'suspended') {
         console.log('AudioContext created but suspended - waiting for user interaction');
@@ -62,6 +366,41 @@
     }
   }
 
+  // Collect media elements in a node or root, descending into open shadow roots
+  function collectMediaElements(root, found = []) {
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      if (root.matches('audio, video')) {
+        found.push(root);
+      }
+      if (root.shadowRoot) {
+        observeShadowRoot(root.shadowRoot);
+        collectMediaElements(root.shadowRoot, found);
+      }
+    }
+
+    if (!root.querySelectorAll) return found;
+
+    found.push(...root.querySelectorAll('audio, video'));
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        observeShadowRoot(element.shadowRoot);
+        collectMediaElements(element.shadowRoot, found);
+      }
+    });
+    return found;
+  }
+
+  // Watch an open shadow root for media elements added later
+  function observeShadowRoot(root) {
+    if (!mutationObserver || observedShadowRoots.has(root)) return;
+    observedShadowRoots.add(root);
+
+    mutationObserver.observe(root, {
+      childList: true,
+      subtree: true
+    });
+  }
+
   // Find all media elements on the page (throttled)
   function findMediaElements() {
     const now = Date.now();
@@ -70,8 +409,8 @@
     }
     lastMediaQuery = now;
 
-    const elements = document.querySelectorAll('audio, video');
-    const newElements = Array.from(elements).filter(el => !mediaElements.includes(el));
+    const elements = collectMediaElements(document);
+    const newElements = elements.filter(el => !mediaElements.includes(el));
 
     // Add new elements to the collection
     mediaElements.push(...newElements);
@@ -79,12 +418,72 @@
     // Connect new elements to Web Audio API immediately
     newElements.forEach(element => {
       connectElementToWebAudio(element);
+      applyPlaybackRate(element);
     });
   }
 
-  // Connect a single media element to Web Audio API
+  // Media from another origin without CORS plays silently through Web Audio
+  function isCrossOriginWithoutCors(element) {
+    if (element.crossOrigin !== null) return false;
+
+    const source = element.querySelector('source[src]');
+    const src = element.currentSrc || element.src || (source ? source.src : '');
+    if (!src) return false;
+
+    try {
+      const url = new URL(src, window.location.href);
+      if (url.protocol === 'blob:' || url.protocol === 'data:') return false;
+      return url.origin !== window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Control an element through element.volume instead (0-100%, no boost)
+  function useFallbackVolume(element, reason) {
+    if (fallbackElements.has(element)) return;
+
+    fallbackElements.add(element);
+    getElementSettings(element).fallbackReason = reason;
+    console.log(`Controlling media element through element.volume (${reason})`);
+    applyFallbackVolume(element);
+  }
+
+  // Set a fallback element's volume from the page volume, gain modifiers and its own volume
+  function applyFallbackVolume(element) {
+    const settings = getElementSettings(element);
+    // Captured by the page's own graph, which already carries the page volume
+    const pageVolume = getElementControlMode(element) === 'page' ? 1.0 : currentVolume * getGainModifier();
+    const target = settings.muted ? 0 : pageVolume * settings.volume;
+    try {
+      element.volume = Math.max(0, Math.min(1.0, target));
+    } catch (error) {
+      console.warn('Failed to set media element volume:', error);
+    }
+  }
+
+  function applyFallbackVolumes() {
+    mediaElements.forEach(element => {
+      if (fallbackElements.has(element)) {
+        applyFallbackVolume(element);
+      }
+    });
+  }
+
+  // Connect a single media element to Web Audio API, falling back to element.volume
   function connectElementToWebAudio(element) {
-    if (!audioContext || !gainNode || connectedElements.has(element)) {
+    if (connectedElements.has(element) || fallbackElements.has(element)) {
+      return false;
+    }
+    if (!audioContext || !inputNode) {
+      // Without an audio graph the page can still be turned down
+      if (initializationAttempted) {
+        useFallbackVolume(element, 'unsupported');
+      }
+      return false;
+    }
+    if (isCrossOriginWithoutCors(element)) {
+      useFallbackVolume(element, 'cross-origin');
       return false;
     }
 
@@ -95,14 +494,22 @@
         return true;
       }
 
+      // Throws when the page (or another extension) already captured the element
+      const source = audioContext.createMediaElementSource(element);
+
       // Set element volume to 100% since Web Audio API will control the overall volume
       element.volume = 1.0;
 
-      const source = audioContext.createMediaElementSource(element);
-      source.connect(gainNode);
+      // Each element gets its own gain so elements can be balanced against each other
+      const settings = getElementSettings(element);
+      const elementGainNode = audioContext.createGain();
+      elementGainNode.gain.value = settings.muted ? 0 : settings.volume;
+      elementGainNode.connect(inputNode);
+      source.connect(elementGainNode);
 
       // Store reference to prevent duplicate connections
       element.audioSourceNode = source;
+      element.audioElementGainNode = elementGainNode;
       connectedElements.add(element);
       element.dataset.volumeControllerConnected = 'true';
 
@@ -110,20 +517,324 @@
       return true;
     } catch (error) {
       console.warn('Failed to connect media element to Web Audio API:', error);
+      getElementSettings(element).error = error.message;
+      useFallbackVolume(element, 'captured');
       return false;
     }
   }
 
-  // Apply volume using Web Audio API
+  // Get (or create) per-element settings, assigning a stable id for the popup
+  function getElementSettings(element) {
+    let settings = elementSettings.get(element);
+    if (!settings) {
+      settings = {id: nextElementId++, volume: 1.0, muted: false};
+      elementSettings.set(element, settings);
+    }
+    return settings;
+  }
+
+  // Build a short human readable label for a media element
+  function getElementLabel(element, index) {
+    const label = element.getAttribute('aria-label') || element.title;
+    if (label) return label;
+
+    const src = element.currentSrc || element.src;
+    if (src && !src.startsWith('blob:')) {
+      try {
+        const fileName = new URL(src).pathname.split('/').filter(Boolean).pop();
+        if (fileName) return decodeURIComponent(fileName);
+      } catch (error) {
+        // Fall through to generic label
+      }
+    }
+
+    return `${element.tagName.toLowerCase()} #${index + 1}`;
+  }
+
+  // Describe tracked media elements for the popup
+  function listMediaElements() {
+    mediaElements = mediaElements.filter(element => element.isConnected);
+
+    return mediaElements.map((element, index) => {
+      const settings = getElementSettings(element);
+      return {
+        id: settings.id,
+        tag: element.tagName.toLowerCase(),
+        src: element.currentSrc || element.src || '',
+        duration: isFinite(element.duration) ? element.duration : null,
+        paused: element.paused,
+        label: getElementLabel(element, index),
+        volume: settings.volume,
+        muted: settings.muted,
+        connected: connectedElements.has(element),
+        mode: getElementControlMode(element),
+        fallbackReason: settings.fallbackReason || null
+      };
+    });
+  }
+
+  // 'webaudio' (boost available), 'page' (boosted through the page's own graph),
+  // 'fallback' (element.volume, 0-100%) or 'pending' (not connected yet)
+  function getElementControlMode(element) {
+    if (connectedElements.has(element)) return 'webaudio';
+    if (fallbackElements.has(element)) {
+      // Captured elements may also belong to another extension or go to a stream instead of
+      // the speakers; only count on the page gain when page-world.js saw the routed context
+      const captured = getElementSettings(element).fallbackReason === 'captured';
+      return captured && pageRoutedElements.has(element) ? 'page' : 'fallback';
+    }
+    return 'pending';
+  }
+
+  // Summary for the popup: 'webaudio', 'fallback', 'mixed', or 'none' without media
+  function getPageControlMode() {
+    const modes = new Set(mediaElements.filter(element => element.isConnected).map(element => {
+      const mode = getElementControlMode(element);
+      return mode === 'page' ? 'webaudio' : mode;
+    }));
+    modes.delete('pending');
+    if (modes.size === 0) return 'none';
+    return modes.size === 1 ? [...modes][0] : 'mixed';
+  }
+
+  // Set volume/mute of a single media element by id
+  function setElementVolume(id, volume, muted) {
+    const element = mediaElements.find(el => getElementSettings(el).id === id);
+    if (!element) return null;
+
+    const settings = getElementSettings(element);
+    if (volume !== undefined) {
+      settings.volume = Math.max(0, Math.min(2.0, volume)); // Clamp between 0 and 2.0 (200%)
+    }
+    if (muted !== undefined) {
+      settings.muted = Boolean(muted);
+    }
+
+    if (audioContext && element.audioElementGainNode) {
+      const target = settings.muted ? 0 : settings.volume;
+      element.audioElementGainNode.gain.setTargetAtTime(target, audioContext.currentTime, 0.05);
+    } else if (fallbackElements.has(element)) {
+      applyFallbackVolume(element);
+    }
+    return settings;
+  }
+
+  // Snapshot of this frame's state for the popup's diagnostics panel
+  function getStatus() {
+    mediaElements = mediaElements.filter(element => element.isConnected);
+
+    const elements = mediaElements.map((element, index) => {
+      const settings = getElementSettings(element);
+      return {
+        id: settings.id,
+        label: getElementLabel(element, index),
+        mode: getElementControlMode(element),
+        fallbackReason: settings.fallbackReason || null,
+        error: settings.error || null
+      };
+    });
+
+    return {
+      url: window.location.href,
+      isTopFrame: window === window.top,
+      disabled: isExtensionDisabled,
+      muted: isMuted || isSoloMuted,
+      initialized: initializationAttempted,
+      audioContextState: audioContext ? audioContext.state : null,
+      sampleRate: audioContext ? audioContext.sampleRate : null,
+      volume: currentVolume,
+      found: elements.length,
+      connected: elements.filter(element => element.mode === 'webaudio' || element.mode === 'page').length,
+      fallback: elements.filter(element => element.mode === 'fallback').length,
+      pageGraphs: pageGraphCount,
+      elements: elements
+    };
+  }
+
+  // Resume the AudioContext and search for and connect media elements again
+  async function reconnectAudio() {
+    if (audioContext && audioContext.state === 'suspended') {
+      try {
+        await audioContext.resume();
+      } catch (error) {
+        console.warn('Failed to resume AudioContext:', error);
+      }
+    }
+
+    lastMediaQuery = 0; // Skip the throttle, this is an explicit request
+    findMediaElements();
+    await connectAllMediaElements();
+    applyVolumeWithWebAudio(currentVolume);
+  }
+
+  // Combined linear factor that features apply on top of the user's volume
+  function getGainModifier() {
+    const muteFactor = isMuted || isSoloMuted ? 0 : 1.0;
+    const modifier = (autoLevelSettings.enabled ? autoLevelFactor : 1.0) * sleepFadeFactor * duckFactor * muteFactor;
+    // Never exceed the 500% maximum overall
+    return Math.min(modifier, 5.0 / Math.max(currentVolume, 0.01));
+  }
+
+  // Mute or unmute the page; the gain's smoothing gives a short fade either way
+  function setMuted(muted, solo = false) {
+    if (solo) {
+      isSoloMuted = Boolean(muted);
+    } else {
+      isMuted = Boolean(muted);
+    }
+    applyVolumeWithWebAudio(currentVolume);
+    reportState();
+  }
+
+  // Mute state is kept per tab by the background, so reloads and new frames stay muted
+  function loadMuteState() {
+    chrome.runtime.sendMessage({action: 'getMuteState'}).then(response => {
+      if (!response || !response.success) return;
+      if (response.muted) setMuted(true);
+      if (response.soloMuted) setMuted(true, true);
+    }).catch(error => {
+      console.log('Failed to load mute state:', error);
+    });
+  }
+
+  // Duck by `amount` percent or restore, ramping the gain so music doesn't jump
+  function setDucked(ducked, amount) {
+    const target = ducked ? 1 - Math.max(0, Math.min(100, amount)) / 100 : 1.0;
+    if (target === duckTarget) return;
+
+    duckTarget = target;
+    console.log(ducked ? `Another tab is playing, ducking by ${amount}%` : 'Other tabs stopped playing, restoring volume');
+
+    if (duckTimer) {
+      clearInterval(duckTimer);
+    }
+    const step = DUCK_INTERVAL / ((target < duckFactor ? DUCK_ATTACK : DUCK_RELEASE) * 1000);
+    duckTimer = setInterval(() => {
+      duckFactor = duckFactor > target ? Math.max(target, duckFactor - step) : Math.min(target, duckFactor + step);
+      applyVolumeWithWebAudio(currentVolume);
+      if (duckFactor === target) {
+        clearInterval(duckTimer);
+        duckTimer = null;
+      }
+    }, DUCK_INTERVAL);
+  }
+
+  // Pages opened while another tab plays start out ducked
+  function loadDuckState() {
+    chrome.runtime.sendMessage({action: 'getDuckState'}).then(response => {
+      if (response && response.success && response.ducked) {
+        setDucked(true, response.amount);
+      }
+    }).catch(error => {
+      console.log('Failed to load ducking state:', error);
+    });
+  }
+
+  // Fade the page out over `duration` seconds, then pause all media and restore the volume
+  function startSleepFade(duration) {
+    if (sleepFadeTimer) {
+      clearInterval(sleepFadeTimer);
+    }
+
+    const start = Date.now();
+    const durationMs = Math.max(0, duration * 1000);
+
+    const finish = () => {
+      clearInterval(sleepFadeTimer);
+      sleepFadeTimer = null;
+
+      findMediaElements();
+      mediaElements.forEach(element => element.pause());
+      console.log('Sleep timer paused all media');
+
+      // Restore after the pause has taken effect so the next play isn't silent
+      setTimeout(() => {
+        sleepFadeFactor = 1.0;
+        applyVolumeWithWebAudio(currentVolume);
+      }, 500);
+    };
+
+    if (durationMs === 0 || !audioContext) {
+      finish();
+      return;
+    }
+
+    sleepFadeTimer = setInterval(() => {
+      sleepFadeFactor = Math.max(0, 1 - (Date.now() - start) / durationMs);
+      applyVolumeWithWebAudio(currentVolume);
+      if (sleepFadeFactor === 0) {
+        finish();
+      }
+    }, SLEEP_FADE_INTERVAL);
+  }
+
+  // Apply the chosen playback speed to one media element
+  function applyPlaybackRate(element) {
+    if (!isPlaybackRateSet) return;
+
+    try {
+      element.preservesPitch = speedSettings.preservePitch;
+      // defaultPlaybackRate survives the element reloading its source
+      element.defaultPlaybackRate = speedSettings.rate;
+      element.playbackRate = speedSettings.rate;
+    } catch (error) {
+      console.warn('Failed to set playback rate:', error);
+    }
+  }
+
+  // Set playback speed for all tracked media elements
+  function setPlaybackRate(settings) {
+    const merged = {...DEFAULT_SPEED_SETTINGS, ...settings};
+    const rate = Number(merged.rate);
+
+    speedSettings = {
+      rate: isFinite(rate) ? Math.max(0.25, Math.min(4.0, rate)) : 1.0, // Clamp between 0.25x and 4x
+      preservePitch: merged.preservePitch !== false
+    };
+    isPlaybackRateSet = true;
+
+    findMediaElements();
+    mediaElements.forEach(applyPlaybackRate);
+  }
+
+  // Send the page volume to page-world.js for audio graphs the page builds itself
+  function updatePageGraphGain() {
+    const gain = isExtensionDisabled ? 1.0 : currentVolume * getGainModifier();
+    document.dispatchEvent(new CustomEvent('volume-controller-page-gain', {detail: gain}));
+  }
+
+  // The page's own AudioContexts were routed through the extension gain (shown in diagnostics)
+  function handlePageGraph(event) {
+    const count = Number(event.detail);
+    if (isFinite(count)) {
+      pageGraphCount = count;
+    }
+  }
+
+  // A media element the page captured plays through one of the routed contexts
+  function handlePageElement(event) {
+    const element = event.composedPath()[0];
+    if (!(element instanceof HTMLMediaElement) || pageRoutedElements.has(element)) return;
+
+    pageRoutedElements.add(element);
+    if (fallbackElements.has(element)) {
+      applyFallbackVolume(element); // Now controlled through the page graph
+    }
+  }
+
+  // Apply volume using Web Audio API (and element.volume for elements it couldn't take)
   function applyVolumeWithWebAudio(volume) {
+    applyFallbackVolumes();
+    updatePageGraphGain();
+
     if (!audioContext || !gainNode) {
       console.warn('AudioContext not available for volume control');
       return false;
     }
 
     try {
-      // Smoothly transition to new volume
-      gainNode.gain.setTargetAtTime(volume, audioContext.currentTime, 0.1);
+      // Smoothly transition to new volume, including gain modifiers (auto level)
+      gainNode.gain.setTargetAtTime(volume * getGainModifier(), audioContext.currentTime, 0.1);
       return true;
     } catch (error) {
       console.warn('Web Audio API volume control failed:', error);
@@ -131,9 +842,12 @@
     }
   }
 
-  // Set volume for the page (Web Audio API only)
+  // Set volume for the page (Web Audio API only). Every level, from the site rules or the
+  // user, goes through the quiet hours in effect; the requested level is kept for when they end.
   function setPageVolume(volume) {
-    currentVolume = volume;
+    requestedVolume = volume;
+    currentVolume = VolumeSchedules.applyLimit(volume * 100, quietHours) / 100;
+    reportState();
 
     // Ensure AudioContext is initialized
     if (!audioContext) {
@@ -144,12 +858,12 @@
     if (audioContext && audioContext.state === 'suspended') {
       audioContext.resume().then(() => {
         console.log('AudioContext resumed');
-        applyVolumeWithWebAudio(volume);
+        applyVolumeWithWebAudio(currentVolume);
       }).catch(error => {
         console.warn('Failed to resume AudioContext:', error);
       });
     } else {
-      applyVolumeWithWebAudio(volume);
+      applyVolumeWithWebAudio(currentVolume);
     }
 
     // Find and connect any new media elements
@@ -157,9 +871,189 @@
     connectAllMediaElements();
   }
 
+  // Normalize an equalizer gain array to EQ_FREQUENCIES length and +/-EQ_MAX_GAIN dB
+  function normalizeEqGains(gains) {
+    return EQ_FREQUENCIES.map((frequency, index) => {
+      const gain = Array.isArray(gains) ? Number(gains[index]) : 0;
+      if (!isFinite(gain)) return 0;
+      return Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, gain));
+    });
+  }
+
+  // Set equalizer band gains (dB)
+  function setEqualizer(gains) {
+    eqGains = normalizeEqGains(gains);
+
+    if (!audioContext) {
+      // Applied when the filters are created
+      return;
+    }
+
+    eqFilters.forEach((filter, index) => {
+      filter.gain.setTargetAtTime(eqGains[index], audioContext.currentTime, 0.05);
+    });
+  }
+
+  // Normalize limiter settings (threshold -60..0 dB, ratio 1..20)
+  function normalizeLimiterSettings(settings) {
+    const merged = {...DEFAULT_LIMITER_SETTINGS, ...settings};
+    const threshold = Number(merged.threshold);
+    const ratio = Number(merged.ratio);
+
+    return {
+      enabled: Boolean(merged.enabled),
+      threshold: isFinite(threshold) ? Math.max(-60, Math.min(0, threshold)) : DEFAULT_LIMITER_SETTINGS.threshold,
+      ratio: isFinite(ratio) ? Math.max(1, Math.min(20, ratio)) : DEFAULT_LIMITER_SETTINGS.ratio
+    };
+  }
+
+  // Set limiter settings
+  function setLimiter(settings) {
+    limiterSettings = normalizeLimiterSettings(settings);
+
+    if (!audioContext) {
+      // Applied when the limiter is created
+      return;
+    }
+
+    applyLimiterParameters();
+    updateOutputRouting();
+  }
+
+  // Normalize voice boost settings
+  function normalizeVoiceSettings(settings) {
+    const merged = {...DEFAULT_VOICE_SETTINGS, ...settings};
+    const intensity = Number(merged.intensity);
+
+    return {
+      enabled: Boolean(merged.enabled),
+      intensity: isFinite(intensity) ? Math.max(0, Math.min(100, Math.round(intensity))) : DEFAULT_VOICE_SETTINGS.intensity
+    };
+  }
+
+  // Set voice boost settings
+  function setVoiceBoost(settings) {
+    voiceSettings = normalizeVoiceSettings(settings);
+
+    if (!audioContext || !voiceSpeechGain) {
+      // Applied when the voice stage is created
+      return;
+    }
+    applyVoiceParameters();
+  }
+
+  // Normalize stereo settings
+  function normalizeStereoSettings(settings) {
+    const merged = {...DEFAULT_STEREO_SETTINGS, ...settings};
+    const balance = Number(merged.balance);
+
+    return {
+      balance: isFinite(balance) ? Math.max(-100, Math.min(100, balance)) : 0,
+      mode: STEREO_MODES.includes(merged.mode) ? merged.mode : 'stereo'
+    };
+  }
+
+  // Set stereo balance and channel mode
+  function setStereo(settings) {
+    stereoSettings = normalizeStereoSettings(settings);
+
+    if (!audioContext) {
+      // Applied when the stereo stage is created
+      return;
+    }
+
+    applyStereoMatrix();
+  }
+
+  // Normalize auto level settings
+  function normalizeAutoLevelSettings(settings) {
+    const merged = {...DEFAULT_AUTO_LEVEL_SETTINGS, ...settings};
+    const clamp = (value, min, max, fallback) => {
+      const number = Number(value);
+      return isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+    };
+
+    return {
+      enabled: Boolean(merged.enabled),
+      target: clamp(merged.target, -40, -6, DEFAULT_AUTO_LEVEL_SETTINGS.target), // dBFS
+      attack: clamp(merged.attack, 0.1, 5, DEFAULT_AUTO_LEVEL_SETTINGS.attack), // seconds
+      release: clamp(merged.release, 0.5, 10, DEFAULT_AUTO_LEVEL_SETTINGS.release), // seconds
+      maxBoost: clamp(merged.maxBoost, 0, 24, DEFAULT_AUTO_LEVEL_SETTINGS.maxBoost) // dB
+    };
+  }
+
+  // Set auto level settings
+  function setAutoLevel(settings) {
+    const wasEnabled = autoLevelSettings.enabled;
+    autoLevelSettings = normalizeAutoLevelSettings(settings);
+
+    if (!wasEnabled && autoLevelSettings.enabled) {
+      // Start from the user's volume rather than a stale correction
+      autoLevelFactor = 1.0;
+      autoLevelHistory = [];
+    }
+
+    if (!audioContext) {
+      // Started when the analyser is created
+      return;
+    }
+
+    updateAutoLevelTimer();
+    applyVolumeWithWebAudio(currentVolume);
+  }
+
+  // Run the measurement loop only while auto level is enabled
+  function updateAutoLevelTimer() {
+    if (autoLevelSettings.enabled && !autoLevelTimer && loudnessAnalyser) {
+      autoLevelTimer = setInterval(updateAutoLevel, AUTO_LEVEL_INTERVAL);
+    } else if (!autoLevelSettings.enabled && autoLevelTimer) {
+      clearInterval(autoLevelTimer);
+      autoLevelTimer = null;
+    }
+  }
+
+  // Measure source loudness and move the auto level factor toward the target
+  function updateAutoLevel() {
+    if (!audioContext || audioContext.state !== 'running') return;
+
+    if (!autoLevelBuffer) {
+      autoLevelBuffer = new Float32Array(loudnessAnalyser.fftSize);
+    }
+    const buffer = autoLevelBuffer;
+    loudnessAnalyser.getFloatTimeDomainData(buffer);
+
+    let sumSquares = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      sumSquares += buffer[i] * buffer[i];
+    }
+    const meanSquare = sumSquares / buffer.length;
+
+    // Skip silence so pauses don't pump the gain up
+    if (meanSquare > 0 && 10 * Math.log10(meanSquare) > AUTO_LEVEL_SILENCE) {
+      autoLevelHistory.push(meanSquare);
+      const maxLength = Math.round(AUTO_LEVEL_WINDOW / AUTO_LEVEL_INTERVAL);
+      if (autoLevelHistory.length > maxLength) {
+        autoLevelHistory.shift();
+      }
+    }
+    if (autoLevelHistory.length === 0) return;
+
+    const average = autoLevelHistory.reduce((sum, value) => sum + value, 0) / autoLevelHistory.length;
+    const loudness = 10 * Math.log10(average);
+    const desiredDb = Math.max(-24, Math.min(autoLevelSettings.maxBoost, autoLevelSettings.target - loudness));
+    const currentDb = 20 * Math.log10(autoLevelFactor);
+
+    // Attack when turning down (content got louder), release when turning back up
+    const time = desiredDb < currentDb ? autoLevelSettings.attack : autoLevelSettings.release;
+    const coefficient = 1 - Math.exp(-(AUTO_LEVEL_INTERVAL / 1000) / time);
+    autoLevelFactor = Math.pow(10, (currentDb + (desiredDb - currentDb) * coefficient) / 20);
+
+    applyVolumeWithWebAudio(currentVolume);
+  }
+
   // Connect all existing media elements to Web Audio API
   async function connectAllMediaElements() {
-    if (!audioContext || !gainNode) {
+    if (!audioContext || !inputNode) {
       console.log('AudioContext not ready for connecting elements');
       return;
     }
@@ -191,6 +1085,7 @@
     if (mutationObserver) {
       mutationObserver.disconnect();
     }
+    observedShadowRoots = new WeakSet();
 
     let processingQueue = [];
     let processingTimer = null;
@@ -210,6 +1105,7 @@
 
         // Connect to Web Audio API immediately
         connectElementToWebAudio(media);
+        applyPlaybackRate(media);
       });
     }
 
@@ -219,20 +1115,12 @@
       mutations.forEach(function(mutation) {
         mutation.addedNodes.forEach(function(node) {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if the node itself is a media element
-            if (node.matches && node.matches('audio, video')) {
-              processingQueue.push(node);
+            // Check the node itself, its descendants and any open shadow roots inside it
+            const mediaInNode = collectMediaElements(node);
+            if (mediaInNode.length > 0) {
+              processingQueue.push(...mediaInNode);
               hasNewMedia = true;
             }
-
-            // Check for media elements within added nodes (only if necessary)
-            if (node.querySelector) {
-              const mediaInNode = node.querySelectorAll('audio, video');
-              if (mediaInNode.length > 0) {
-                processingQueue.push(...mediaInNode);
-                hasNewMedia = true;
-              }
-            }
           }
         });
       });
@@ -255,6 +1143,82 @@
     }
   }
 
+  // Shadow roots attached after load are reported by page-world.js
+  function handleShadowRootAttached(event) {
+    const host = event.composedPath()[0];
+    if (host && host.shadowRoot) {
+      observeShadowRoot(host.shadowRoot);
+    }
+  }
+
+  // Measure RMS and peak of one analyser's current window (linear, 1.0 = full scale)
+  function measureChannel(analyser, buffer) {
+    analyser.getFloatTimeDomainData(buffer);
+
+    let sumSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const sample = Math.abs(buffer[i]);
+      sumSquares += sample * sample;
+      if (sample > peak) peak = sample;
+    }
+    return {rms: Math.sqrt(sumSquares / buffer.length), peak: peak};
+  }
+
+  // Stream output levels to a connected popup until it disconnects
+  function startLevelMeter(port) {
+    let buffer = null;
+
+    const timer = setInterval(() => {
+      // Frames without media stay quiet so they don't mask frames that play
+      if (!audioContext || meterAnalysers.length === 0 || mediaElements.length === 0) return;
+
+      if (!buffer) {
+        buffer = new Float32Array(meterAnalysers[0].fftSize);
+      }
+      const [left, right] = meterAnalysers.map(analyser => measureChannel(analyser, buffer));
+
+      try {
+        port.postMessage({
+          frame: frameToken,
+          left: left,
+          right: right,
+          clipped: left.peak >= 1.0 || right.peak >= 1.0
+        });
+      } catch (error) {
+        clearInterval(timer);
+      }
+    }, LEVEL_METER_INTERVAL);
+
+    port.onDisconnect.addListener(function() {
+      clearInterval(timer);
+    });
+  }
+
+  // Long-lived connections from the popup
+  chrome.runtime.onConnect.addListener(function(port) {
+    if (port.name === 'level-meter' && !isExtensionDisabled) {
+      startLevelMeter(port);
+    }
+  });
+
+  // Pages still on the global default follow changes to it
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local' || !changes[VolumeRules.DEFAULT_VOLUME_KEY]) return;
+    if (isExtensionDisabled || isCleanedUp || !audioContext) return;
+
+    getPageUrl().then(url => {
+      return VolumeRules.getSettingsForUrl(url).then(settings => resolvePageVolume(url, settings));
+    }).then(resolved => {
+      if (resolved.source === 'default') {
+        console.log('Default volume changed, applying:', resolved.volume);
+        setPageVolume(resolved.volume / 100);
+      }
+    }).catch(error => {
+      console.log('Failed to apply default volume:', error);
+    });
+  });
+
   // Message listener
   chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     if (request.action === 'setVolume') {
@@ -265,19 +1229,182 @@
       const volume = Math.max(0, Math.min(5.0, request.volume)); // Clamp between 0 and 5.0 (500%)
       console.log('Setting page volume to:', volume);
       setPageVolume(volume);
-      sendResponse({success: true, volume: volume});
+      sendResponse({success: true, volume: currentVolume, requestedVolume: requestedVolume});
       return true; // Keep the message channel open for async response
+    } else if (request.action === 'setMuted') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setMuted(request.muted, request.solo);
+      sendResponse({success: true, muted: isMuted, soloMuted: isSoloMuted});
+      return true;
+    } else if (request.action === 'getStatus') {
+      // Answered while disabled too, so the popup can explain why nothing happens
+      sendResponse({success: true, status: getStatus()});
+      return true;
+    } else if (request.action === 'reconnectAudio') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      reconnectAudio().then(() => {
+        sendResponse({success: true, status: getStatus()});
+      });
+      return true;
     } else if (request.action === 'getVolume') {
       if (isExtensionDisabled) {
         sendResponse({success: false, error: 'Extension is disabled on this website'});
         return true;
       }
       console.log('Getting current volume:', currentVolume);
-      sendResponse({success: true, volume: currentVolume});
+      sendResponse({
+        success: true,
+        volume: currentVolume,
+        requestedVolume: requestedVolume, // Before quiet hours, what shortcuts step from and save
+        muted: isMuted,
+        soloMuted: isSoloMuted,
+        controlMode: getPageControlMode()
+      });
+      return true;
+    } else if (request.action === 'setEqualizer') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setEqualizer(request.gains);
+      sendResponse({success: true, gains: eqGains});
+      return true;
+    } else if (request.action === 'getEqualizer') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, gains: eqGains, frequencies: EQ_FREQUENCIES});
+      return true;
+    } else if (request.action === 'setLimiter') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setLimiter(request.settings);
+      sendResponse({success: true, settings: limiterSettings});
+      return true;
+    } else if (request.action === 'getLimiter') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, settings: limiterSettings});
+      return true;
+    } else if (request.action === 'setVoiceBoost') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setVoiceBoost(request.settings);
+      sendResponse({success: true, settings: voiceSettings});
+      return true;
+    } else if (request.action === 'getVoiceBoost') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, settings: voiceSettings});
+      return true;
+    } else if (request.action === 'listMedia') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      findMediaElements();
+      sendResponse({success: true, media: listMediaElements()});
+      return true;
+    } else if (request.action === 'setElementVolume') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      const settings = setElementVolume(request.id, request.volume, request.muted);
+      if (!settings) {
+        sendResponse({success: false, error: 'Media element not found'});
+        return true;
+      }
+      sendResponse({success: true, volume: settings.volume, muted: settings.muted});
+      return true;
+    } else if (request.action === 'setStereo') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setStereo(request.settings);
+      sendResponse({success: true, settings: stereoSettings});
+      return true;
+    } else if (request.action === 'getStereo') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, settings: stereoSettings});
+      return true;
+    } else if (request.action === 'setPlaybackRate') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setPlaybackRate(request.settings);
+      sendResponse({success: true, settings: speedSettings});
+      return true;
+    } else if (request.action === 'getPlaybackRate') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, settings: speedSettings});
+      return true;
+    } else if (request.action === 'sleepFade') {
+      console.log('Sleep timer fading out over', request.duration, 'seconds');
+      startSleepFade(request.duration);
+      sendResponse({success: true});
+      return true;
+    } else if (request.action === 'setAutoLevel') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      setAutoLevel(request.settings);
+      sendResponse({success: true, settings: autoLevelSettings});
+      return true;
+    } else if (request.action === 'getAutoLevel') {
+      if (isExtensionDisabled) {
+        sendResponse({success: false, error: 'Extension is disabled on this website'});
+        return true;
+      }
+      sendResponse({success: true, settings: autoLevelSettings, factor: autoLevelFactor});
+      return true;
+    } else if (request.action === 'urlChanged') {
+      if (!isExtensionDisabled && audioContext) {
+        handleUrlChanged(request.url);
+      }
+      sendResponse({success: true});
+      return true;
+    } else if (request.action === 'setDucked') {
+      if (!isExtensionDisabled && !isCleanedUp) {
+        setDucked(Boolean(request.ducked), request.amount);
+      }
+      sendResponse({success: true});
+      return true;
+    } else if (request.action === 'quietHoursChanged') {
+      if (!isExtensionDisabled && !isCleanedUp) {
+        applyQuietHours();
+      }
+      sendResponse({success: true});
       return true;
     } else if (request.action === 'setDisabled') {
       isExtensionDisabled = request.disabled;
       console.log('Extension disabled state changed to:', isExtensionDisabled);
+      updatePageGraphGain();
+      reportState();
       sendResponse({success: true, disabled: isExtensionDisabled});
       return true;
     }
@@ -291,18 +1418,37 @@
     const audioInitialized = initializeAudioContext();
 
     if (audioInitialized) {
+      // Set up observer for new elements (before searching, so found shadow roots are observed)
+      setupMediaObserver();
+      document.addEventListener('volume-controller-shadow-root', handleShadowRootAttached, true);
+      document.addEventListener('volume-controller-page-graph', handlePageGraph);
+      document.addEventListener('volume-controller-page-element', handlePageElement, true);
+      updatePageGraphGain();
+
       // Find existing media elements
       findMediaElements();
 
-      // Set up observer for new elements
-      setupMediaObserver();
-
-      // Load saved volume from storage
+      // Load saved volume, equalizer, limiter and auto level from storage
       loadSavedVolume();
+      loadMuteState();
+      loadDuckState();
+      loadSavedEqualizer();
+      loadSavedLimiter();
+      loadSavedAutoLevel();
 
       console.log('Volume controller initialized successfully');
     } else {
-      console.warn('Volume controller initialization failed - AudioContext not supported');
+      // Media can still be turned down through element.volume
+      console.warn('AudioContext not supported - controlling media through element.volume (no boost)');
+      setupMediaObserver();
+      document.addEventListener('volume-controller-shadow-root', handleShadowRootAttached, true);
+      document.addEventListener('volume-controller-page-graph', handlePageGraph);
+      document.addEventListener('volume-controller-page-element', handlePageElement, true);
+      updatePageGraphGain();
+      findMediaElements();
+      loadSavedVolume();
+      loadMuteState();
+      loadDuckState();
     }
   }
 
@@ -313,8 +1459,13 @@
   }
 
   // Safe hostname extraction
+  // Frames use the top-level page's hostname so the whole tab shares one setting
   function getHostnameFromLocation() {
     try {
+      const ancestors = window.location.ancestorOrigins;
+      if (window !== window.top && ancestors && ancestors.length > 0) {
+        return new URL(ancestors[ancestors.length - 1]).hostname || 'unknown';
+      }
       return window.location.hostname || 'unknown';
     } catch (error) {
       console.warn('Failed to get hostname:', error);
@@ -322,22 +1473,180 @@
     }
   }
 
-  // Load saved volume for current page
+  // Resolve the page volume from the tab override, site rule or global default
+  function resolvePageVolume(url, settings) {
+    const override = chrome.runtime.sendMessage({action: 'getTabVolumeOverride', url: url}).then(response => {
+      return response && response.success ? response.override : null;
+    }).catch(() => null);
+
+    return Promise.all([override, VolumeRules.getDefaultVolume()]).then(([tabOverride, defaultVolume]) => {
+      return VolumeRules.resolveVolume(settings, tabOverride, defaultVolume);
+    }).then(resolved => {
+      // Quiet hours limit the level in setPageVolume, the resolved volume stays as saved
+      return VolumeSchedules.load().then(schedules => {
+        return {...resolved, quietHours: VolumeSchedules.getActive(schedules, url, new Date())};
+      });
+    });
+  }
+
+  // Use the quiet hours schedules of a resolved volume; true when they changed
+  function updateQuietHours(resolved) {
+    const key = resolved.quietHours.map(({schedule}) => `${schedule.id}:${schedule.mode}:${schedule.volume}`).join(',');
+    const changed = key !== quietHoursKey;
+    quietHours = resolved.quietHours;
+    quietHoursKey = key;
+    return changed;
+  }
+
+  // Re-apply the volume when a quiet hours window starts or ends, or schedules are edited
+  function applyQuietHours() {
+    getPageUrl().then(url => {
+      return VolumeRules.getSettingsForUrl(url).then(settings => resolvePageVolume(url, settings));
+    }).then(resolved => {
+      if (!updateQuietHours(resolved)) return;
+
+      console.log(quietHoursKey ? 'Quiet hours limit the volume' : 'Quiet hours ended, restoring volume');
+      setPageVolume(requestedVolume);
+    }).catch(error => {
+      console.log('Failed to apply quiet hours:', error);
+    });
+  }
+
+  // Load saved volume (and stereo, speed and voice boost settings, which are stored in the same site rules) for current page
   function loadSavedVolume() {
-    // Use URL as storage key for persistence across page reloads
+    getPageUrl().then(url => {
+      return VolumeRules.getSettingsForUrl(url).then(settings => {
+        return resolvePageVolume(url, settings).then(resolved => ({settings, resolved}));
+      });
+    }).then(({settings, resolved}) => {
+      volumeRuleId = resolved.rule ? resolved.rule.id : null;
+      stereoRuleId = settings.stereoRule ? settings.stereoRule.id : null;
+      speedRuleId = settings.speedRule ? settings.speedRule.id : null;
+      voiceRuleId = settings.voiceRule ? settings.voiceRule.id : null;
+      updateQuietHours(resolved);
+
+      // Leave the page untouched at an unchanged default of 100% without quiet hours
+      if (resolved.source !== 'default' || resolved.volume !== 100 || quietHours.length > 0) {
+        console.log(`Restoring ${resolved.source} volume${quietHoursKey ? ' (quiet hours)' : ''}:`, resolved.volume);
+        setPageVolume(resolved.volume / 100);
+      }
+      if (settings.stereo !== undefined) {
+        console.log('Restoring saved stereo settings:', settings.stereo);
+        setStereo(settings.stereo);
+      }
+      if (settings.speed !== undefined) {
+        console.log('Restoring saved playback speed:', settings.speed);
+        setPlaybackRate(settings.speed);
+      }
+      if (settings.voice !== undefined) {
+        console.log('Restoring saved voice boost:', settings.voice);
+        setVoiceBoost(settings.voice);
+      }
+    }).catch(error => {
+      console.log('Failed to load volume:', error);
+    });
+  }
+
+  // Re-resolve site rules after an in-page navigation (single page apps)
+  function handleUrlChanged(url) {
+    VolumeRules.getSettingsForUrl(url).then(settings => {
+      return resolvePageVolume(url, settings).then(resolved => ({settings, resolved}));
+    }).then(({settings, resolved}) => {
+      // Only apply fields whose rule changed, keep the current values otherwise.
+      // A tab override stays in effect while the tab is on the same site.
+      const ruleId = resolved.rule ? resolved.rule.id : null;
+      const quietHoursChanged = updateQuietHours(resolved);
+      if (resolved.source !== 'tab' && ruleId !== volumeRuleId) {
+        volumeRuleId = ruleId;
+        console.log(`Volume ${resolved.source === 'site' ? 'rule' : 'default'} applies after navigation:`, resolved.volume);
+        setPageVolume(resolved.volume / 100);
+      } else if (quietHoursChanged) {
+        console.log('Quiet hours change after navigation');
+        setPageVolume(requestedVolume);
+      }
+
+      const newStereoRuleId = settings.stereoRule ? settings.stereoRule.id : null;
+      if (newStereoRuleId !== stereoRuleId) {
+        stereoRuleId = newStereoRuleId;
+        setStereo(settings.stereo);
+      }
+
+      const newSpeedRuleId = settings.speedRule ? settings.speedRule.id : null;
+      if (newSpeedRuleId !== speedRuleId) {
+        const hadRuleSpeed = speedRuleId !== null;
+        speedRuleId = newSpeedRuleId;
+        if (settings.speed !== undefined) {
+          setPlaybackRate(settings.speed);
+        } else if (hadRuleSpeed) {
+          // Left the pages of the rule that set the speed, back to normal
+          setPlaybackRate(DEFAULT_SPEED_SETTINGS);
+        }
+        // Otherwise no rule was involved: keep a speed the user picked for this tab
+      }
+
+      const newVoiceRuleId = settings.voiceRule ? settings.voiceRule.id : null;
+      if (newVoiceRuleId !== voiceRuleId) {
+        voiceRuleId = newVoiceRuleId;
+        setVoiceBoost(settings.voice);
+      }
+    }).catch(error => {
+      console.log('Failed to load volume:', error);
+    });
+  }
+
+  // Load saved equalizer settings for current page
+  function loadSavedEqualizer() {
+    const hostname = getHostnameFromLocation();
+    const storageKey = `eq_url_${hostname}`;
+
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        console.log('Failed to load equalizer:', chrome.runtime.lastError);
+        return;
+      }
+
+      const savedEqualizer = result[storageKey];
+      if (savedEqualizer && savedEqualizer.gains) {
+        console.log('Restoring saved equalizer:', savedEqualizer.preset);
+        setEqualizer(savedEqualizer.gains);
+      }
+    });
+  }
+
+  // Load saved limiter settings for current page
+  function loadSavedLimiter() {
     const hostname = getHostnameFromLocation();
-    const storageKey = `volume_url_${hostname}`;
+    const storageKey = `limiter_url_${hostname}`;
 
     chrome.storage.local.get([storageKey], function(result) {
       if (chrome.runtime.lastError) {
-        console.log('Failed to load volume:', chrome.runtime.lastError);
+        console.log('Failed to load limiter:', chrome.runtime.lastError);
         return;
       }
 
-      const savedVolume = result[storageKey];
-      if (savedVolume !== undefined) {
-        console.log('Restoring saved volume:', savedVolume);
-        setPageVolume(savedVolume / 100);
+      const savedLimiter = result[storageKey];
+      if (savedLimiter) {
+        console.log('Restoring saved limiter:', savedLimiter);
+        setLimiter(savedLimiter);
+      }
+    });
+  }
+
+  // Load saved auto level settings for current page
+  function loadSavedAutoLevel() {
+    const hostname = getHostnameFromLocation();
+    const storageKey = `autolevel_url_${hostname}`;
+
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        console.log('Failed to load auto level:', chrome.runtime.lastError);
+        return;
+      }
+
+      const savedAutoLevel = result[storageKey];
+      if (savedAutoLevel) {
+        console.log('Restoring saved auto level:', savedAutoLevel);
+        setAutoLevel(savedAutoLevel);
       }
     });
   }
@@ -354,6 +1663,24 @@
       mutationObserver.disconnect();
       mutationObserver = null;
     }
+    document.removeEventListener('volume-controller-shadow-root', handleShadowRootAttached, true);
+    document.removeEventListener('volume-controller-page-graph', handlePageGraph);
+    document.removeEventListener('volume-controller-page-element', handlePageElement, true);
+    document.dispatchEvent(new CustomEvent('volume-controller-page-gain', {detail: 1.0}));
+
+    // Stop auto level measurements, any running sleep fade and ducking ramp
+    if (autoLevelTimer) {
+      clearInterval(autoLevelTimer);
+      autoLevelTimer = null;
+    }
+    if (sleepFadeTimer) {
+      clearInterval(sleepFadeTimer);
+      sleepFadeTimer = null;
+    }
+    if (duckTimer) {
+      clearInterval(duckTimer);
+      duckTimer = null;
+    }
 
     // Close audio context
     if (audioContext && audioContext.state !== 'closed') {
@@ -369,10 +1696,13 @@
       // Reset volume to 100% (since we set it to 1.0 when connecting to Web Audio API)
       element.volume = 1.0;
 
-      // Clear audio source reference
+      // Clear audio source references
       if (element.audioSourceNode) {
         delete element.audioSourceNode;
       }
+      if (element.audioElementGainNode) {
+        delete element.audioElementGainNode;
+      }
 
       // Clear connection flag
       if (element.dataset.volumeControllerConnected) {
@@ -383,6 +1713,8 @@
     // Clear tracking collections
     mediaElements = [];
     connectedElements = new WeakSet();
+    fallbackElements = new WeakSet();
+    elementSettings = new WeakMap();
   }
   
   // Start initialization
@@ -0,0 +1,977 @@
+document.addEventListener('DOMContentLoaded', function() {
+  const searchInput = document.getElementById('searchInput');
+  const rulesBody = document.getElementById('rulesBody');
+  const selectAllInput = document.getElementById('selectAll');
+  const resetSelectedButton = document.getElementById('resetSelected');
+  const resetAllButton = document.getElementById('resetAll');
+  const newRuleType = document.getElementById('newRuleType');
+  const newRulePattern = document.getElementById('newRulePattern');
+  const newRuleVolume = document.getElementById('newRuleVolume');
+  const addRuleButton = document.getElementById('addRule');
+  const exportButton = document.getElementById('exportSettings');
+  const importButton = document.getElementById('importSettings');
+  const importFileInput = document.getElementById('importFile');
+  const statusMessage = document.getElementById('statusMessage');
+  const presetsBody = document.getElementById('presetsBody');
+  const addPresetButton = document.getElementById('addPreset');
+  const restorePresetsButton = document.getElementById('restorePresets');
+  const schedulesBody = document.getElementById('schedulesBody');
+  const addScheduleButton = document.getElementById('addSchedule');
+  const syncEnabledInput = document.getElementById('syncEnabled');
+  const syncNowButton = document.getElementById('syncNow');
+  const syncStatusLine = document.getElementById('syncStatus');
+
+  const EXPORT_FORMAT = 'volume-controller-settings';
+  const EXPORT_VERSION = 1;
+  const TYPE_LABELS = {domain: 'Domain', path: 'Path', exact: 'Exact page', regex: 'Regex'};
+  const SYNC_ENABLED_KEY = VolumeRules.SYNC_ENABLED_KEY;
+  const SYNC_STATUS_KEY = VolumeRules.SYNC_STATUS_KEY;
+  const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  let rules = [];
+  let siteSettings = {}; // hostname -> {eq_url_: value, ...}
+  let selectedRows = new Set(); // Row keys
+  let presets = [];
+  let schedules = [];
+
+  // Show a status line below the page
+  function showStatus(message, isError = false) {
+    statusMessage.textContent = message;
+    statusMessage.classList.toggle('error', isError);
+  }
+
+  // Load rules and hostname-keyed per-site settings
+  async function loadSites() {
+    const items = await chrome.storage.local.get(null);
+    rules = Array.isArray(items[VolumeRules.RULES_KEY]) ? items[VolumeRules.RULES_KEY] : [];
+
+    siteSettings = {};
+    Object.keys(items).forEach(key => {
+      const prefix = VolumeRules.SITE_SETTING_PREFIXES.find(p => key.startsWith(p));
+      if (!prefix) return;
+
+      const hostname = key.slice(prefix.length);
+      siteSettings[hostname] = siteSettings[hostname] || {};
+      siteSettings[hostname][prefix] = items[key];
+    });
+  }
+
+  // One row per rule, plus hostnames that only have per-site audio settings
+  function getRows() {
+    const rows = rules.map(rule => ({key: `rule:${rule.id}`, rule: rule, hostname: rule.type === 'domain' ? rule.pattern : null}));
+
+    Object.keys(siteSettings).forEach(hostname => {
+      const hasRule = rules.some(rule => rule.type === 'domain' && rule.pattern === hostname);
+      if (!hasRule) {
+        rows.push({key: `site:${hostname}`, rule: null, hostname: hostname});
+      }
+    });
+
+    return rows.sort((a, b) => getRowPattern(a).localeCompare(getRowPattern(b)));
+  }
+
+  // Pattern shown (and searched) for a row
+  function getRowPattern(row) {
+    return row.rule ? row.rule.pattern : row.hostname;
+  }
+
+  // Rows matching the search box
+  function getVisibleRows() {
+    const query = searchInput.value.trim().toLowerCase();
+    return getRows().filter(row => getRowPattern(row).toLowerCase().includes(query));
+  }
+
+  // Short summary of a rule's settings besides volume and disabled
+  function describeRuleSettings(rule) {
+    const parts = [];
+    if (rule.stereo) {
+      if (rule.stereo.mode === 'mono') parts.push('Mono');
+      if (rule.stereo.mode === 'swap') parts.push('Swapped L/R');
+      if (rule.stereo.balance) {
+        parts.push(`Balance ${rule.stereo.balance < 0 ? 'L' : 'R'} ${Math.abs(rule.stereo.balance)}`);
+      }
+    }
+    if (rule.speed && rule.speed.rate !== 1) {
+      parts.push(`Speed ${rule.speed.rate}x`);
+    }
+    if (rule.voice && rule.voice.enabled) {
+      parts.push(`Voice boost ${rule.voice.intensity}%`);
+    }
+    if (rule.duck && rule.duck.enabled) {
+      parts.push(`Auto duck -${rule.duck.amount}%`);
+    }
+    return parts.join(' · ');
+  }
+
+  // Short summary of a hostname's other saved settings
+  function describeSiteSettings(hostname) {
+    const settings = siteSettings[hostname];
+    if (!settings) return '';
+
+    const parts = [];
+    if (settings.eq_url_) {
+      parts.push(`EQ: ${settings.eq_url_.preset || 'custom'}`);
+    }
+    if (settings.limiter_url_ && settings.limiter_url_.enabled) {
+      parts.push('Limiter on');
+    }
+    if (settings.autolevel_url_ && settings.autolevel_url_.enabled) {
+      parts.push('Auto level on');
+    }
+    return parts.join(' · ');
+  }
+
+  // Render the table, filtered by the search box
+  function renderRows() {
+    const query = searchInput.value.trim();
+    const rows = getVisibleRows();
+
+    // Forget selections that are no longer visible
+    const visibleKeys = new Set(rows.map(row => row.key));
+    selectedRows = new Set([...selectedRows].filter(key => visibleKeys.has(key)));
+
+    rulesBody.textContent = '';
+    if (rows.length === 0) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 6;
+      cell.className = 'empty-message';
+      cell.textContent = query ? 'No sites match your search' : 'No saved sites yet';
+      emptyRow.appendChild(cell);
+      rulesBody.appendChild(emptyRow);
+    }
+
+    rows.forEach(row => rulesBody.appendChild(createRow(row)));
+    updateSelectionState(rows);
+  }
+
+  // Build one editable table row
+  function createRow(row) {
+    const rule = row.rule || {type: 'domain', pattern: row.hostname};
+    const tr = document.createElement('tr');
+
+    // Selection
+    const selectCell = document.createElement('td');
+    selectCell.className = 'column-select';
+    const selectInput = document.createElement('input');
+    selectInput.type = 'checkbox';
+    selectInput.checked = selectedRows.has(row.key);
+    selectInput.setAttribute('aria-label', `Select ${rule.pattern}`);
+    selectInput.addEventListener('change', function() {
+      if (this.checked) {
+        selectedRows.add(row.key);
+      } else {
+        selectedRows.delete(row.key);
+      }
+      updateSelectionState();
+    });
+    selectCell.appendChild(selectInput);
+
+    // Match type
+    const typeCell = document.createElement('td');
+    typeCell.className = 'column-type';
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'select-input';
+    typeSelect.setAttribute('aria-label', 'Rule match type');
+    VolumeRules.RULE_TYPES.forEach(type => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = TYPE_LABELS[type];
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = rule.type;
+    typeSelect.disabled = !row.rule;
+    typeCell.appendChild(typeSelect);
+
+    // Pattern
+    const patternCell = document.createElement('td');
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'text-input pattern-input';
+    patternInput.value = rule.pattern;
+    patternInput.disabled = !row.rule;
+    patternInput.setAttribute('aria-label', 'Rule pattern');
+    patternCell.appendChild(patternInput);
+
+    const extras = [describeRuleSettings(rule), row.hostname ? describeSiteSettings(row.hostname) : '']
+      .filter(Boolean).join(' · ');
+    if (extras) {
+      const extraLine = document.createElement('div');
+      extraLine.className = 'extra-settings';
+      extraLine.textContent = extras;
+      patternCell.appendChild(extraLine);
+    }
+
+    // Volume
+    const volumeCell = document.createElement('td');
+    volumeCell.className = 'column-volume';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'text-input volume-input';
+    volumeInput.min = '0';
+    volumeInput.max = '500';
+    volumeInput.placeholder = '—';
+    volumeInput.value = rule.volume !== undefined ? rule.volume : '';
+    volumeInput.setAttribute('aria-label', 'Volume percentage (0-500%)');
+    volumeCell.appendChild(volumeInput);
+
+    // Disabled
+    const disabledCell = document.createElement('td');
+    disabledCell.className = 'column-disabled';
+    const disabledInput = document.createElement('input');
+    disabledInput.type = 'checkbox';
+    disabledInput.checked = Boolean(rule.disabled);
+    disabledInput.setAttribute('aria-label', 'Disabled on matching pages');
+    disabledCell.appendChild(disabledInput);
+
+    // Actions
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'column-actions';
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'button danger';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', function() {
+      resetRows([row]).then(() => showStatus(`Deleted ${rule.pattern}`));
+    });
+    actionsCell.appendChild(deleteButton);
+
+    // Inline edits are saved as soon as a field changes
+    function saveEdit() {
+      const type = typeSelect.value;
+      const pattern = patternInput.value.trim();
+      const volumeText = volumeInput.value.trim();
+      const volume = parseInt(volumeText);
+
+      const patternValid = VolumeRules.isValidPattern(type, pattern);
+      const volumeValid = volumeText === '' || (!isNaN(volume) && volume >= 0 && volume <= 500);
+      patternInput.classList.toggle('invalid', !patternValid);
+      volumeInput.classList.toggle('invalid', !volumeValid);
+      if (!patternValid || !volumeValid) {
+        showStatus('Fix the highlighted field to save', true);
+        return;
+      }
+
+      const values = {type: type, pattern: pattern, disabled: disabledInput.checked};
+      if (volumeText !== '') {
+        values.volume = volume;
+      }
+      saveRule(row.rule, values).then(() => {
+        showStatus(`Saved ${pattern}`);
+      }).catch(error => {
+        showStatus(`Failed to save: ${error.message}`, true);
+      });
+    }
+
+    typeSelect.addEventListener('change', saveEdit);
+    patternInput.addEventListener('change', saveEdit);
+    volumeInput.addEventListener('change', saveEdit);
+    disabledInput.addEventListener('change', saveEdit);
+
+    tr.appendChild(selectCell);
+    tr.appendChild(typeCell);
+    tr.appendChild(patternCell);
+    tr.appendChild(volumeCell);
+    tr.appendChild(disabledCell);
+    tr.appendChild(actionsCell);
+    return tr;
+  }
+
+  // Replace an existing rule's fields, or create a domain rule for a settings-only site
+  async function saveRule(existingRule, values) {
+    if (!existingRule) {
+      await VolumeRules.upsert(values.type, values.pattern, {volume: values.volume, disabled: values.disabled});
+    } else {
+      const current = await VolumeRules.load();
+      const index = current.findIndex(rule => rule.id === existingRule.id);
+      if (index === -1) {
+        throw new Error('Rule no longer exists');
+      }
+
+      // Keep fields the table doesn't edit (e.g. stereo settings)
+      const updated = {...current[index], ...values, modified: Date.now()};
+      if (values.volume === undefined) {
+        delete updated.volume;
+      }
+      current[index] = updated;
+      await VolumeRules.save(current);
+    }
+
+    await loadSites();
+    renderRows();
+  }
+
+  // Delete rules and per-site settings for the given rows
+  async function resetRows(rows) {
+    const ruleIds = new Set(rows.filter(row => row.rule).map(row => row.rule.id));
+    const settingKeys = [];
+    rows.filter(row => row.hostname).forEach(row => {
+      VolumeRules.SITE_SETTING_PREFIXES.forEach(prefix => {
+        settingKeys.push(`${prefix}${row.hostname}`);
+      });
+    });
+
+    const current = await VolumeRules.load();
+    await VolumeRules.save(current.filter(rule => !ruleIds.has(rule.id)));
+    if (settingKeys.length > 0) {
+      await chrome.storage.local.remove(settingKeys);
+    }
+
+    rows.forEach(row => selectedRows.delete(row.key));
+    await loadSites();
+    renderRows();
+  }
+
+  // Sync select-all and bulk reset with the current selection
+  function updateSelectionState(rows) {
+    const visibleRows = rows || getVisibleRows();
+    resetSelectedButton.disabled = selectedRows.size === 0;
+    selectAllInput.checked = visibleRows.length > 0 && selectedRows.size === visibleRows.length;
+    selectAllInput.indeterminate = selectedRows.size > 0 && selectedRows.size < visibleRows.length;
+  }
+
+  searchInput.addEventListener('input', renderRows);
+
+  selectAllInput.addEventListener('change', function() {
+    const visibleRows = getVisibleRows();
+    selectedRows = this.checked ? new Set(visibleRows.map(row => row.key)) : new Set();
+    renderRows();
+  });
+
+  resetSelectedButton.addEventListener('click', function() {
+    const rows = getVisibleRows().filter(row => selectedRows.has(row.key));
+    if (rows.length === 0) return;
+    if (!confirm(`Reset settings for ${rows.length} selected ${rows.length === 1 ? 'site' : 'sites'}?`)) return;
+
+    resetRows(rows).then(() => showStatus(`Reset ${rows.length} ${rows.length === 1 ? 'site' : 'sites'}`));
+  });
+
+  resetAllButton.addEventListener('click', function() {
+    const rows = getRows();
+    if (rows.length === 0) return;
+    if (!confirm('Reset settings for all saved sites?')) return;
+
+    resetRows(rows).then(() => showStatus('All site settings were reset'));
+  });
+
+  // Add a rule from the form
+  addRuleButton.addEventListener('click', function() {
+    const type = newRuleType.value;
+    const pattern = newRulePattern.value.trim();
+    const volume = parseInt(newRuleVolume.value);
+
+    if (!VolumeRules.isValidPattern(type, pattern)) {
+      newRulePattern.classList.add('invalid');
+      showStatus('Enter a valid pattern for this match type', true);
+      return;
+    }
+    if (isNaN(volume) || volume < 0 || volume > 500) {
+      newRuleVolume.classList.add('invalid');
+      showStatus('Volume must be between 0 and 500', true);
+      return;
+    }
+    newRulePattern.classList.remove('invalid');
+    newRuleVolume.classList.remove('invalid');
+
+    VolumeRules.upsert(type, pattern, {volume: volume}).then(() => {
+      newRulePattern.value = '';
+      showStatus(`Added ${pattern}`);
+      return loadSites();
+    }).then(renderRows).catch(error => {
+      showStatus(`Failed to add rule: ${error.message}`, true);
+    });
+  });
+
+  // Export everything in local storage as a versioned JSON file
+  exportButton.addEventListener('click', async function() {
+    try {
+      const data = await chrome.storage.local.get(null);
+      const file = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: data
+      };
+
+      const blob = new Blob([JSON.stringify(file, null, 2)], {type: 'application/json'});
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `volume-controller-settings-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      showStatus('Settings exported');
+    } catch (error) {
+      showStatus(`Export failed: ${error.message}`, true);
+    }
+  });
+
+  importButton.addEventListener('click', function() {
+    importFileInput.click();
+  });
+
+  // Number within [min, max], or the fallback when the value isn't a number
+  function clampNumber(value, min, max, fallback) {
+    const number = Number(value);
+    return isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+  }
+
+  // Clean up imported hostname-keyed settings, ranges as in content.js; null drops the value
+  const SITE_SETTING_NORMALIZERS = {
+    eq_url_: value => {
+      if (!value || !Array.isArray(value.gains)) return null;
+      return {
+        preset: typeof value.preset === 'string' ? value.preset : 'custom',
+        gains: VolumePresets.EQ_PRESETS.flat.map((flat, index) => clampNumber(value.gains[index], -12, 12, 0))
+      };
+    },
+    limiter_url_: value => value && {
+      enabled: Boolean(value.enabled),
+      threshold: clampNumber(value.threshold, -60, 0, -6),
+      ratio: clampNumber(value.ratio, 1, 20, 20)
+    },
+    autolevel_url_: value => value && {
+      enabled: Boolean(value.enabled),
+      target: clampNumber(value.target, -40, -6, -20),
+      attack: clampNumber(value.attack, 0.1, 5, 0.5),
+      release: clampNumber(value.release, 0.5, 10, 3),
+      maxBoost: clampNumber(value.maxBoost, 0, 24, 12)
+    }
+  };
+
+  // Clean up imported general settings; null drops the value
+  const SETTING_NORMALIZERS = {
+    [VolumeRules.DEFAULT_VOLUME_KEY]: value => Math.round(clampNumber(value, 0, 500, 100)),
+    shortcut_step: value => Math.round(clampNumber(value, 1, 500, 10)),
+    [VolumePresets.PRESETS_KEY]: value => Array.isArray(value) ?
+      value.map(VolumePresets.normalize).filter(Boolean).slice(0, VolumePresets.MAX_PRESETS) : null,
+    [VolumeSchedules.SCHEDULES_KEY]: value => Array.isArray(value) ? value.map(VolumeSchedules.normalize).filter(Boolean) : null
+  };
+
+  // Settings from older versions, moved into rules by migrateLegacyKeys after the import
+  const LEGACY_NORMALIZERS = {
+    volume_url_: value => Math.round(clampNumber(value, 0, 500, 100)),
+    disabled_: value => Boolean(value)
+  };
+
+  // Keep only known settings from an imported file, with values in range
+  function normalizeImportedSettings(data) {
+    const settings = {};
+    Object.keys(data).forEach(key => {
+      // Own keys only, so '__proto__' or 'toString' can't reach Object.prototype members
+      let normalizer = Object.prototype.hasOwnProperty.call(SETTING_NORMALIZERS, key) ? SETTING_NORMALIZERS[key] : null;
+      if (!normalizer) {
+        const prefixes = {...SITE_SETTING_NORMALIZERS, ...LEGACY_NORMALIZERS};
+        const prefix = Object.keys(prefixes).find(candidate => key.startsWith(candidate) && key.length > candidate.length);
+        normalizer = prefix ? prefixes[prefix] : null;
+      }
+      if (typeof normalizer !== 'function') return;
+
+      const value = normalizer(data[key]);
+      if (value !== null && value !== undefined) {
+        settings[key] = value;
+      }
+    });
+    return settings;
+  }
+
+  // Clean up an imported rule, keeping only rule fields; null when it can't be used
+  function normalizeImportedRule(rule) {
+    if (!rule || !VolumeRules.RULE_TYPES.includes(rule.type) || !VolumeRules.isValidPattern(rule.type, rule.pattern)) {
+      return null;
+    }
+
+    const normalized = {type: rule.type, pattern: rule.pattern, modified: Date.now()};
+    if (rule.volume !== undefined) {
+      normalized.volume = Math.round(clampNumber(rule.volume, 0, 500, 100));
+    }
+    if (rule.disabled !== undefined) {
+      normalized.disabled = Boolean(rule.disabled);
+    }
+    if (rule.stereo && typeof rule.stereo === 'object') {
+      normalized.stereo = {
+        balance: clampNumber(rule.stereo.balance, -100, 100, 0),
+        mode: ['stereo', 'mono', 'swap'].includes(rule.stereo.mode) ? rule.stereo.mode : 'stereo'
+      };
+    }
+    if (rule.speed && typeof rule.speed === 'object') {
+      normalized.speed = {
+        rate: clampNumber(rule.speed.rate, 0.25, 4, 1),
+        preservePitch: rule.speed.preservePitch !== false
+      };
+    }
+    if (rule.voice && typeof rule.voice === 'object') {
+      normalized.voice = {
+        enabled: Boolean(rule.voice.enabled),
+        intensity: Math.round(clampNumber(rule.voice.intensity, 0, 100, 50))
+      };
+    }
+    if (rule.duck && typeof rule.duck === 'object') {
+      normalized.duck = {
+        enabled: Boolean(rule.duck.enabled),
+        amount: Math.round(clampNumber(rule.duck.amount, 10, 100, 60))
+      };
+    }
+    return normalized;
+  }
+
+  // Merge an exported file into the current settings
+  importFileInput.addEventListener('change', async function() {
+    const file = this.files[0];
+    this.value = ''; // Allow importing the same file again
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (!parsed || parsed.format !== EXPORT_FORMAT || !parsed.data || typeof parsed.data !== 'object') {
+        throw new Error('Not a Volume Controller settings file');
+      }
+      if (parsed.version > EXPORT_VERSION) {
+        throw new Error(`File version ${parsed.version} is newer than supported version ${EXPORT_VERSION}`);
+      }
+
+      // Unknown keys and sync bookkeeping (which belongs to the machine it was exported from) are left out
+      const imported = normalizeImportedSettings(parsed.data);
+      const importedRules = Array.isArray(parsed.data[VolumeRules.RULES_KEY]) ?
+        parsed.data[VolumeRules.RULES_KEY].map(normalizeImportedRule).filter(Boolean) : [];
+
+      // Rules are merged by type and pattern so local-only rules are kept. New rules get
+      // fresh ids, ids from another machine may belong to different local rules.
+      const merged = await VolumeRules.load();
+      importedRules.forEach(rule => {
+        const index = merged.findIndex(existing => existing.type === rule.type && existing.pattern === rule.pattern);
+        if (index === -1) {
+          merged.push({id: VolumeRules.createId(), ...rule});
+        } else {
+          merged[index] = {...rule, id: merged[index].id};
+        }
+      });
+
+      await chrome.storage.local.set(imported);
+      await VolumeRules.save(merged);
+
+      // Files from before site rules existed still use hostname keys
+      await VolumeRules.migrateLegacyKeys();
+
+      await loadSites();
+      renderRows();
+      showStatus(`Imported ${importedRules.length} ${importedRules.length === 1 ? 'rule' : 'rules'} from ${file.name}`);
+    } catch (error) {
+      showStatus(`Import failed: ${error.message}`, true);
+    }
+  });
+
+  // Render the preset buttons table in popup order
+  function renderPresets() {
+    presetsBody.textContent = '';
+    if (presets.length === 0) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.className = 'empty-message';
+      cell.textContent = 'No preset buttons, the popup only shows the slider';
+      emptyRow.appendChild(cell);
+      presetsBody.appendChild(emptyRow);
+    }
+
+    presets.forEach((preset, index) => presetsBody.appendChild(createPresetRow(preset, index)));
+    addPresetButton.disabled = presets.length >= VolumePresets.MAX_PRESETS;
+  }
+
+  // Build one editable preset row
+  function createPresetRow(preset, index) {
+    const tr = document.createElement('tr');
+
+    const labelCell = document.createElement('td');
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'text-input label-input';
+    labelInput.maxLength = 12;
+    labelInput.value = preset.label;
+    labelInput.setAttribute('aria-label', 'Button label');
+    labelCell.appendChild(labelInput);
+
+    const volumeCell = document.createElement('td');
+    volumeCell.className = 'column-volume';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'text-input volume-input';
+    volumeInput.min = '0';
+    volumeInput.max = '500';
+    volumeInput.value = preset.volume;
+    volumeInput.setAttribute('aria-label', 'Volume percentage (0-500%)');
+    volumeCell.appendChild(volumeInput);
+
+    const eqCell = document.createElement('td');
+    const eqSelect = document.createElement('select');
+    eqSelect.className = 'select-input';
+    eqSelect.setAttribute('aria-label', 'Equalizer preset');
+    const noEqOption = document.createElement('option');
+    noEqOption.value = '';
+    noEqOption.textContent = 'Unchanged';
+    eqSelect.appendChild(noEqOption);
+    Object.keys(VolumePresets.EQ_PRESETS).forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = VolumePresets.EQ_PRESET_LABELS[name];
+      eqSelect.appendChild(option);
+    });
+    eqSelect.value = preset.eq || '';
+    eqCell.appendChild(eqSelect);
+
+    const speedCell = document.createElement('td');
+    speedCell.className = 'column-volume';
+    const speedInput = document.createElement('input');
+    speedInput.type = 'number';
+    speedInput.className = 'text-input volume-input';
+    speedInput.min = '0.25';
+    speedInput.max = '4';
+    speedInput.step = '0.05';
+    speedInput.placeholder = '—';
+    speedInput.value = preset.speed !== undefined ? preset.speed : '';
+    speedInput.setAttribute('aria-label', 'Playback speed (0.25x-4x), empty leaves it unchanged');
+    speedCell.appendChild(speedInput);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'column-actions';
+    const upButton = document.createElement('button');
+    upButton.className = 'button';
+    upButton.textContent = '↑';
+    upButton.disabled = index === 0;
+    upButton.setAttribute('aria-label', `Move ${preset.label} left`);
+    upButton.addEventListener('click', () => movePreset(index, -1));
+    const downButton = document.createElement('button');
+    downButton.className = 'button';
+    downButton.textContent = '↓';
+    downButton.disabled = index === presets.length - 1;
+    downButton.setAttribute('aria-label', `Move ${preset.label} right`);
+    downButton.addEventListener('click', () => movePreset(index, 1));
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'button danger';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', function() {
+      presets.splice(index, 1);
+      savePresets(`Deleted ${preset.label}`);
+    });
+    actionsCell.appendChild(upButton);
+    actionsCell.appendChild(downButton);
+    actionsCell.appendChild(deleteButton);
+
+    // Edits are saved as soon as a field changes
+    function saveEdit() {
+      const volume = parseInt(volumeInput.value);
+      const speedText = speedInput.value.trim();
+      const speed = parseFloat(speedText);
+
+      const labelValid = labelInput.value.trim() !== '';
+      const volumeValid = !isNaN(volume) && volume >= 0 && volume <= 500;
+      const speedValid = speedText === '' || (!isNaN(speed) && speed >= 0.25 && speed <= 4);
+      labelInput.classList.toggle('invalid', !labelValid);
+      volumeInput.classList.toggle('invalid', !volumeValid);
+      speedInput.classList.toggle('invalid', !speedValid);
+      if (!labelValid || !volumeValid || !speedValid) {
+        showStatus('Fix the highlighted field to save', true);
+        return;
+      }
+
+      const updated = {id: preset.id, label: labelInput.value, volume: volume};
+      if (eqSelect.value) updated.eq = eqSelect.value;
+      if (speedText !== '') updated.speed = speed;
+      presets[index] = updated;
+      savePresets(`Saved ${updated.label.trim()}`);
+    }
+
+    labelInput.addEventListener('change', saveEdit);
+    volumeInput.addEventListener('change', saveEdit);
+    eqSelect.addEventListener('change', saveEdit);
+    speedInput.addEventListener('change', saveEdit);
+
+    tr.appendChild(labelCell);
+    tr.appendChild(volumeCell);
+    tr.appendChild(eqCell);
+    tr.appendChild(speedCell);
+    tr.appendChild(actionsCell);
+    return tr;
+  }
+
+  // Swap a preset with its neighbour
+  function movePreset(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= presets.length) return;
+
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+    savePresets('Preset order saved');
+  }
+
+  // Store the presets and re-render from what was stored
+  function savePresets(message) {
+    VolumePresets.save(presets).then(() => VolumePresets.load()).then(saved => {
+      presets = saved;
+      renderPresets();
+      showStatus(message);
+    }).catch(error => {
+      showStatus(`Failed to save presets: ${error.message}`, true);
+    });
+  }
+
+  addPresetButton.addEventListener('click', function() {
+    if (presets.length >= VolumePresets.MAX_PRESETS) return;
+
+    presets.push({label: '150%', volume: 150});
+    savePresets('Preset added');
+  });
+
+  restorePresetsButton.addEventListener('click', function() {
+    if (!confirm('Replace the preset buttons with 50%, 100% and Max?')) return;
+
+    presets = VolumePresets.DEFAULT_PRESETS.map(preset => ({...preset}));
+    savePresets('Preset buttons restored');
+  });
+
+  // Render the quiet hours table
+  function renderSchedules() {
+    schedulesBody.textContent = '';
+    if (schedules.length === 0) {
+      const emptyRow = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 8;
+      cell.className = 'empty-message';
+      cell.textContent = 'No quiet hours';
+      emptyRow.appendChild(cell);
+      schedulesBody.appendChild(emptyRow);
+    }
+
+    schedules.forEach((schedule, index) => schedulesBody.appendChild(createScheduleRow(schedule, index)));
+  }
+
+  // Build one editable quiet hours row
+  function createScheduleRow(schedule, index) {
+    const tr = document.createElement('tr');
+
+    const enabledCell = document.createElement('td');
+    enabledCell.className = 'column-disabled';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = schedule.enabled;
+    enabledInput.setAttribute('aria-label', 'Quiet hours enabled');
+    enabledCell.appendChild(enabledInput);
+
+    const startCell = document.createElement('td');
+    const startInput = document.createElement('input');
+    startInput.type = 'time';
+    startInput.className = 'text-input';
+    startInput.value = schedule.start;
+    startInput.setAttribute('aria-label', 'Start time');
+    startCell.appendChild(startInput);
+
+    const endCell = document.createElement('td');
+    const endInput = document.createElement('input');
+    endInput.type = 'time';
+    endInput.className = 'text-input';
+    endInput.value = schedule.end;
+    endInput.setAttribute('aria-label', 'End time');
+    endCell.appendChild(endInput);
+
+    const daysCell = document.createElement('td');
+    const dayToggles = document.createElement('div');
+    dayToggles.className = 'day-toggles';
+    const dayInputs = DAY_LABELS.map((label, day) => {
+      const toggle = document.createElement('label');
+      toggle.className = 'day-toggle';
+      const dayInput = document.createElement('input');
+      dayInput.type = 'checkbox';
+      dayInput.checked = schedule.days.includes(day);
+      dayInput.setAttribute('aria-label', `Starts on ${label}`);
+      toggle.appendChild(document.createTextNode(label));
+      toggle.appendChild(dayInput);
+      dayToggles.appendChild(toggle);
+      return dayInput;
+    });
+    daysCell.appendChild(dayToggles);
+
+    const modeCell = document.createElement('td');
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'select-input';
+    modeSelect.setAttribute('aria-label', 'Quiet hours action');
+    [['cap', 'Cap at'], ['set', 'Set to']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+    modeSelect.value = schedule.mode;
+    modeCell.appendChild(modeSelect);
+
+    const volumeCell = document.createElement('td');
+    volumeCell.className = 'column-volume';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'text-input volume-input';
+    volumeInput.min = '0';
+    volumeInput.max = '500';
+    volumeInput.value = schedule.volume;
+    volumeInput.setAttribute('aria-label', 'Volume percentage (0-500%)');
+    volumeCell.appendChild(volumeInput);
+
+    const sitesCell = document.createElement('td');
+    const sitesInput = document.createElement('input');
+    sitesInput.type = 'text';
+    sitesInput.className = 'text-input pattern-input';
+    sitesInput.placeholder = 'All sites';
+    sitesInput.value = schedule.sites.join(', ');
+    sitesInput.setAttribute('aria-label', 'Sites, separated by commas; empty for all sites');
+    sitesCell.appendChild(sitesInput);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'column-actions';
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'button danger';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', function() {
+      schedules.splice(index, 1);
+      saveSchedules('Quiet hours deleted');
+    });
+    actionsCell.appendChild(deleteButton);
+
+    // Edits are saved as soon as a field changes
+    function saveEdit() {
+      const volume = parseInt(volumeInput.value);
+      const sites = sitesInput.value.split(',').map(site => site.trim()).filter(Boolean);
+
+      const startValid = VolumeSchedules.parseTime(startInput.value) !== null;
+      const endValid = VolumeSchedules.parseTime(endInput.value) !== null;
+      const volumeValid = !isNaN(volume) && volume >= 0 && volume <= 500;
+      const sitesValid = sites.every(site => VolumeRules.isValidPattern('domain', site));
+      startInput.classList.toggle('invalid', !startValid);
+      endInput.classList.toggle('invalid', !endValid);
+      volumeInput.classList.toggle('invalid', !volumeValid);
+      sitesInput.classList.toggle('invalid', !sitesValid);
+      if (!startValid || !endValid || !volumeValid || !sitesValid) {
+        showStatus('Fix the highlighted field to save', true);
+        return;
+      }
+
+      schedules[index] = {
+        id: schedule.id,
+        enabled: enabledInput.checked,
+        start: startInput.value,
+        end: endInput.value,
+        days: VolumeSchedules.ALL_DAYS.filter(day => dayInputs[day].checked),
+        mode: modeSelect.value,
+        volume: volume,
+        sites: sites
+      };
+      saveSchedules('Quiet hours saved');
+    }
+
+    [enabledInput, startInput, endInput, ...dayInputs, modeSelect, volumeInput, sitesInput].forEach(input => {
+      input.addEventListener('change', saveEdit);
+    });
+
+    tr.appendChild(enabledCell);
+    tr.appendChild(startCell);
+    tr.appendChild(endCell);
+    tr.appendChild(daysCell);
+    tr.appendChild(modeCell);
+    tr.appendChild(volumeCell);
+    tr.appendChild(sitesCell);
+    tr.appendChild(actionsCell);
+    return tr;
+  }
+
+  // Store the schedules and re-render from what was stored
+  function saveSchedules(message) {
+    VolumeSchedules.save(schedules).then(() => VolumeSchedules.load()).then(saved => {
+      schedules = saved;
+      renderSchedules();
+      showStatus(message);
+    }).catch(error => {
+      showStatus(`Failed to save quiet hours: ${error.message}`, true);
+    });
+  }
+
+  addScheduleButton.addEventListener('click', function() {
+    schedules.push({start: '22:00', end: '07:00', mode: 'cap', volume: 30});
+    saveSchedules('Quiet hours added');
+  });
+
+  // Describe the result of the last sync
+  function renderSyncStatus(enabled, status) {
+    syncEnabledInput.checked = enabled;
+    syncNowButton.disabled = !enabled;
+
+    if (!enabled) {
+      syncStatusLine.textContent = 'Sync is off. Settings are only stored on this device.';
+    } else if (!status) {
+      syncStatusLine.textContent = 'Not synced yet';
+    } else if (status.error) {
+      syncStatusLine.textContent = `Last sync failed at ${new Date(status.time).toLocaleString()}: ${status.error}`;
+    } else {
+      let text = `Last synced ${new Date(status.time).toLocaleString()} · ${status.synced} ${status.synced === 1 ? 'setting' : 'settings'}`;
+      if (status.pruned > 0) {
+        text += ` · ${status.pruned} not synced, sync storage is full`;
+      }
+      syncStatusLine.textContent = text;
+    }
+  }
+
+  async function loadSyncStatus() {
+    const result = await chrome.storage.local.get([SYNC_ENABLED_KEY, SYNC_STATUS_KEY]);
+    renderSyncStatus(Boolean(result[SYNC_ENABLED_KEY]), result[SYNC_STATUS_KEY]);
+  }
+
+  // Syncing runs in the background worker so it keeps going after this page closes
+  function sendSyncMessage(message) {
+    return chrome.runtime.sendMessage(message).then(response => {
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'No response from background');
+      }
+      return response;
+    });
+  }
+
+  syncEnabledInput.addEventListener('change', function() {
+    const enabled = this.checked;
+    sendSyncMessage({action: 'setSyncEnabled', enabled: enabled}).then(() => {
+      showStatus(enabled ? 'Sync turned on' : 'Sync turned off');
+    }).catch(error => {
+      showStatus(`Sync failed: ${error.message}`, true);
+    });
+  });
+
+  syncNowButton.addEventListener('click', function() {
+    sendSyncMessage({action: 'syncNow'}).then(() => {
+      showStatus('Settings synced');
+    }).catch(error => {
+      showStatus(`Sync failed: ${error.message}`, true);
+    });
+  });
+
+  // Reflect sync results and settings pulled in from other devices
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    if (changes[SYNC_ENABLED_KEY] || changes[SYNC_STATUS_KEY]) {
+      loadSyncStatus();
+    }
+    const sitesChanged = Object.keys(changes).some(key => {
+      return key === VolumeRules.RULES_KEY || VolumeRules.SITE_SETTING_PREFIXES.some(prefix => key.startsWith(prefix));
+    });
+    if (sitesChanged) {
+      loadSites().then(renderRows);
+    }
+  });
+
+  VolumePresets.load().then(loaded => {
+    presets = loaded;
+    renderPresets();
+  });
+  VolumeSchedules.load().then(loaded => {
+    schedules = loaded;
+    renderSchedules();
+  });
+  loadSyncStatus();
+  loadSites().then(renderRows).catch(error => {
+    showStatus(`Failed to load settings: ${error.message}`, true);
+  });
+});
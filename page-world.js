@@ -0,0 +1,133 @@
+// Volume controller page (main world) script
+// Runs in the page's own JavaScript context at document_start. Reports events
+// the isolated content script cannot observe on its own and applies its volume
+// to audio the page plays through its own Web Audio graph.
+(function() {
+  'use strict';
+
+  // Report shadow roots attached after load so content.js can watch them for media
+  const originalAttachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function(init) {
+    const root = originalAttachShadow.call(this, init);
+
+    if (init && init.mode === 'open') {
+      this.dispatchEvent(new CustomEvent('volume-controller-shadow-root', {
+        bubbles: true,
+        composed: true
+      }));
+    }
+    return root;
+  };
+})();
+
+// Route audio graphs the page builds itself (games, synths, players with their own
+// AudioContext) through a gain the content script controls. Every connection to a
+// context's destination goes to a per-context gain in front of it instead. Media
+// elements the page captured into a routed context are reported one by one, so the
+// content script only counts on the page gain for elements it actually reaches.
+(function() {
+  'use strict';
+
+  if (typeof AudioNode === 'undefined' || typeof AudioDestinationNode === 'undefined') return;
+
+  const originalConnect = AudioNode.prototype.connect;
+  const originalDisconnect = AudioNode.prototype.disconnect;
+  const originalCreateGain = BaseAudioContext.prototype.createGain;
+  const originalSetTargetAtTime = AudioParam.prototype.setTargetAtTime;
+  const originalCreateMediaElementSource = typeof AudioContext !== 'undefined' ?
+    AudioContext.prototype.createMediaElementSource : null;
+
+  const contextGains = new WeakMap(); // AudioContext -> extension gain in front of destination
+  const routedContexts = new Set(); // Contexts to update when the volume changes
+  const contextElements = new WeakMap(); // AudioContext -> media elements captured into it
+  let currentGain = 1.0; // Set by the content script, 1.0 until it reports
+
+  // Offline contexts render to buffers, leave them alone
+  function isRoutable(destination) {
+    return destination instanceof AudioDestinationNode &&
+      !(typeof OfflineAudioContext !== 'undefined' && destination.context instanceof OfflineAudioContext);
+  }
+
+  // Get (or create) the extension gain for a context
+  function getContextGain(context) {
+    let gain = contextGains.get(context);
+    if (!gain) {
+      gain = originalCreateGain.call(context);
+      gain.gain.value = currentGain;
+      originalConnect.call(gain, context.destination);
+      contextGains.set(context, gain);
+      routedContexts.add(context);
+
+      reportRoutedContexts();
+      reportCapturedElements(context);
+    }
+    return gain;
+  }
+
+  // Let the content script know the page plays through its own graph
+  function reportRoutedContexts() {
+    document.dispatchEvent(new CustomEvent('volume-controller-page-graph', {detail: routedContexts.size}));
+  }
+
+  // Let the content script know these elements play through a routed context
+  function reportCapturedElements(context) {
+    (contextElements.get(context) || []).forEach(element => {
+      element.dispatchEvent(new CustomEvent('volume-controller-page-element', {
+        bubbles: true,
+        composed: true
+      }));
+    });
+  }
+
+  if (originalCreateMediaElementSource) {
+    AudioContext.prototype.createMediaElementSource = function(element) {
+      const source = originalCreateMediaElementSource.call(this, element);
+
+      if (!contextElements.has(this)) {
+        contextElements.set(this, new Set());
+      }
+      contextElements.get(this).add(element);
+      if (routedContexts.has(this)) {
+        reportCapturedElements(this);
+      }
+      return source;
+    };
+  }
+
+  AudioNode.prototype.connect = function(destination, ...args) {
+    if (isRoutable(destination)) {
+      originalConnect.call(this, getContextGain(destination.context), ...args);
+      return destination;
+    }
+    return originalConnect.call(this, destination, ...args);
+  };
+
+  AudioNode.prototype.disconnect = function(destination, ...args) {
+    if (isRoutable(destination) && contextGains.has(destination.context)) {
+      return originalDisconnect.call(this, contextGains.get(destination.context), ...args);
+    }
+    return originalDisconnect.apply(this, arguments);
+  };
+
+  // Volume from the content script (linear gain, 1.0 when disabled)
+  document.addEventListener('volume-controller-page-gain', function(event) {
+    const gain = Number(event.detail);
+    if (!isFinite(gain) || gain < 0) return;
+    currentGain = gain;
+
+    routedContexts.forEach(context => {
+      if (context.state === 'closed') {
+        routedContexts.delete(context);
+        return;
+      }
+      originalSetTargetAtTime.call(contextGains.get(context).gain, currentGain, context.currentTime, 0.05);
+    });
+
+    // Contexts and elements captured before the content script loaded are reported here
+    if (routedContexts.size > 0) {
+      reportRoutedContexts();
+      routedContexts.forEach(reportCapturedElements);
+    }
+  });
+})();
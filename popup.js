@@ -1,23 +1,127 @@
 document.addEventListener('DOMContentLoaded', function() {
   const volumeSlider = document.getElementById('volumeSlider');
   const volumeInput = document.getElementById('volumeInput');
+  const boostNotice = document.getElementById('boostNotice');
+  const quietHoursNotice = document.getElementById('quietHoursNotice');
   const volumeDecrease = document.getElementById('volumeDecrease');
   const volumeIncrease = document.getElementById('volumeIncrease');
-  const controlButtons = document.querySelectorAll('.control-button');
+  const presetButtonsContainer = document.getElementById('presetButtons');
+  const muteButton = document.getElementById('muteButton');
+  const soloButton = document.getElementById('soloButton');
   const toggleDisableButton = document.getElementById('toggleDisable');
+  const saveScopeSelect = document.getElementById('saveScope');
+  const volumeSourceText = document.getElementById('volumeSource');
+  const tabOnlyInput = document.getElementById('tabOnly');
+  const defaultVolumeInput = document.getElementById('defaultVolume');
+  const sleepSetup = document.getElementById('sleepSetup');
+  const sleepRunning = document.getElementById('sleepRunning');
+  const sleepPresetButtons = document.querySelectorAll('[data-sleep-minutes]');
+  const sleepMinutesInput = document.getElementById('sleepMinutes');
+  const sleepStartButton = document.getElementById('sleepStart');
+  const sleepFadeInput = document.getElementById('sleepFade');
+  const sleepCountdown = document.getElementById('sleepCountdown');
+  const sleepCancelButton = document.getElementById('sleepCancel');
+  const shortcutStepInput = document.getElementById('shortcutStep');
+  const openShortcutsButton = document.getElementById('openShortcuts');
+  const openOptionsButton = document.getElementById('openOptions');
+  const editPresetsButton = document.getElementById('editPresets');
+  const speedSlider = document.getElementById('speedSlider');
+  const speedValue = document.getElementById('speedValue');
+  const speedDecrease = document.getElementById('speedDecrease');
+  const speedIncrease = document.getElementById('speedIncrease');
+  const speedPresetButtons = document.querySelectorAll('[data-speed]');
+  const preservePitchInput = document.getElementById('preservePitch');
+  const eqPresetSelect = document.getElementById('eqPreset');
+  const eqBandsContainer = document.getElementById('eqBands');
+  const stereoModeSelect = document.getElementById('stereoMode');
+  const stereoBalanceInput = document.getElementById('stereoBalance');
+  const stereoBalanceValue = document.getElementById('stereoBalanceValue');
+  const limiterEnabledInput = document.getElementById('limiterEnabled');
+  const limiterThresholdInput = document.getElementById('limiterThreshold');
+  const limiterThresholdValue = document.getElementById('limiterThresholdValue');
+  const limiterRatioInput = document.getElementById('limiterRatio');
+  const limiterRatioValue = document.getElementById('limiterRatioValue');
+  const voiceBoostEnabledInput = document.getElementById('voiceBoostEnabled');
+  const voiceBoostIntensityInput = document.getElementById('voiceBoostIntensity');
+  const voiceBoostIntensityValue = document.getElementById('voiceBoostIntensityValue');
+  const autoLevelEnabledInput = document.getElementById('autoLevelEnabled');
+  const autoLevelTargetInput = document.getElementById('autoLevelTarget');
+  const autoLevelTargetValue = document.getElementById('autoLevelTargetValue');
+  const autoLevelAttackInput = document.getElementById('autoLevelAttack');
+  const autoLevelAttackValue = document.getElementById('autoLevelAttackValue');
+  const autoLevelReleaseInput = document.getElementById('autoLevelRelease');
+  const autoLevelReleaseValue = document.getElementById('autoLevelReleaseValue');
+  const autoLevelMaxBoostInput = document.getElementById('autoLevelMaxBoost');
+  const autoLevelMaxBoostValue = document.getElementById('autoLevelMaxBoostValue');
+  const autoDuckEnabledInput = document.getElementById('autoDuckEnabled');
+  const autoDuckAmountInput = document.getElementById('autoDuckAmount');
+  const autoDuckAmountValue = document.getElementById('autoDuckAmountValue');
+  const meterPanel = document.getElementById('meterPanel');
+  const meterFills = [document.getElementById('meterLeft'), document.getElementById('meterRight')];
+  const meterPeaks = [document.getElementById('meterLeftPeak'), document.getElementById('meterRightPeak')];
+  const meterReadout = document.getElementById('meterReadout');
+  const clipIndicator = document.getElementById('clipIndicator');
+  const mediaPanel = document.getElementById('mediaPanel');
+  const mediaList = document.getElementById('mediaList');
+  const refreshMediaButton = document.getElementById('refreshMedia');
+  const mixerPanel = document.getElementById('mixerPanel');
+  const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+  const diagnosticsList = document.getElementById('diagnosticsList');
+  const reconnectAudioButton = document.getElementById('reconnectAudio');
+  const refreshDiagnosticsButton = document.getElementById('refreshDiagnostics');
+  const mixerList = document.getElementById('mixerList');
+  const refreshMixerButton = document.getElementById('refreshMixer');
+
+  // Equalizer bands, must match EQ_FREQUENCIES in content.js
+  const EQ_BAND_LABELS = ['31', '62', '125', '250', '500', '1k', '2k', '4k', '8k', '16k'];
+  const EQ_PRESETS = VolumePresets.EQ_PRESETS;
 
   let currentTabId = null;
   let currentTabUrl = null;
   let volumeChangeTimer = null;
   let isDisabled = false;
+  let eqChangeTimer = null;
+  let eqSliders = [];
+  let presetButtons = [];
+  let isMuted = false;
+  let requestedVolume = 100; // Current tab's level before quiet hours, what +/- step from
+  let quietHoursActive = []; // Quiet hours in effect for the current tab [{schedule, until}]
+  let isSoloed = false;
+  let speedChangeTimer = null;
+  let stereoChangeTimer = null;
+  let limiterChangeTimer = null;
+  let voiceBoostChangeTimer = null;
+  let autoLevelChangeTimer = null;
+  let autoDuckChangeTimer = null;
+  let elementVolumeTimers = {};
+  let mixerVolumeTimers = {};
+  let sleepTimer = null; // {endTime, fadeSeconds} of the current tab
+  let sleepCountdownInterval = null;
+  let meterPort = null;
+  let meterFrameLevels = {}; // Latest levels per frame
+  let meterPeakHold = [{value: 0, time: 0}, {value: 0, time: 0}];
+  let meterClipTime = 0;
+  let meterAnimationFrame = null;
+
+  const METER_FLOOR_DB = -60;
+  const METER_PEAK_HOLD_MS = 1000;
+  const METER_CLIP_HOLD_MS = 1500;
+  const METER_STALE_MS = 500;
 
   // Get current tab
   chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
     if (tabs && tabs[0]) {
       currentTabId = tabs[0].id;
       currentTabUrl = tabs[0].url;
-      loadDisabledState();
+      loadSiteRules();
       loadSavedVolume();
+      loadSoloState();
+      updateVolumeSource();
+      updateQuietHoursNotice();
+      loadSavedEqualizer();
+      loadSavedLimiter();
+      loadSavedAutoLevel();
+      loadSleepTimer();
     } else {
       console.error('No active tab found');
     }
@@ -30,12 +134,16 @@ document.addEventListener('DOMContentLoaded', function() {
     // Query current volume from content script first
     chrome.tabs.sendMessage(currentTabId, {
       action: 'getVolume'
-    }).then(response => {
+    }, {frameId: 0}).then(response => {
       if (response && response.volume !== undefined) {
-        // Use current volume from content script
+        // Use current volume from content script, as applied after quiet hours
         const currentVolume = Math.round(response.volume * 100);
+        requestedVolume = response.requestedVolume !== undefined ? Math.round(response.requestedVolume * 100) : currentVolume;
         volumeSlider.value = currentVolume;
         updateVolumeDisplay(currentVolume);
+        updateBoostNotice(response.controlMode);
+        isMuted = Boolean(response.muted);
+        updateMuteButtons();
       } else {
         // Fallback to saved volume
         loadSavedVolumeFromStorage();
@@ -46,6 +154,46 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Warn when players on the page can only be turned down, not boosted
+  function updateBoostNotice(controlMode) {
+    if (controlMode === 'fallback') {
+      boostNotice.textContent = 'Boost unavailable on this player, volume is limited to 100%';
+    } else if (controlMode === 'mixed') {
+      boostNotice.textContent = 'Boost unavailable on some players on this page';
+    }
+    boostNotice.hidden = controlMode !== 'fallback' && controlMode !== 'mixed';
+  }
+
+  // Show when quiet hours cap or set this tab's volume
+  function updateQuietHoursNotice() {
+    VolumeSchedules.load().then(schedules => {
+      const active = VolumeSchedules.getActive(schedules, currentTabUrl, new Date());
+      quietHoursActive = active;
+      if (active.length === 0) {
+        quietHoursNotice.hidden = true;
+        return;
+      }
+
+      // Describe the schedule that sets the lowest volume
+      const entry = active.reduce((lowest, candidate) => {
+        return candidate.schedule.volume < lowest.schedule.volume ? candidate : lowest;
+      });
+      const until = entry.until.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+      const action = entry.schedule.mode === 'set' ? 'set to' : 'capped at';
+      quietHoursNotice.textContent = `Quiet hours: volume ${action} ${entry.schedule.volume}% until ${until}`;
+      quietHoursNotice.hidden = false;
+    }).catch(error => {
+      console.error('Failed to load quiet hours:', error);
+    });
+  }
+
+  // Why an element can't be boosted, for the media list
+  const FALLBACK_REASONS = {
+    captured: 'The page already processes this player\'s audio itself',
+    'cross-origin': 'Media from another site can\'t be routed through the audio booster',
+    unsupported: 'Web Audio is not available on this page'
+  };
+
   // Safe hostname extraction from URL
   function getHostnameFromUrl(url) {
     try {
@@ -57,19 +205,50 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  // Resolve the current tab's volume from its override, site rule or the global default
+  function resolveTabVolume() {
+    return Promise.all([
+      VolumeRules.getSettingsForUrl(currentTabUrl),
+      VolumeRules.getTabOverride(currentTabId, currentTabUrl),
+      VolumeRules.getDefaultVolume()
+    ]).then(([settings, override, defaultVolume]) => {
+      return VolumeRules.resolveVolume(settings, override, defaultVolume);
+    });
+  }
+
   // Load volume from storage (fallback)
   function loadSavedVolumeFromStorage() {
-    const hostname = getHostnameFromUrl(currentTabUrl);
-    const storageKey = `volume_url_${hostname}`;
+    resolveTabVolume().then(resolved => {
+      requestedVolume = resolved.volume;
+      return VolumeSchedules.limitVolume(currentTabUrl, resolved.volume);
+    }).then(limit => {
+      volumeSlider.value = limit.volume;
+      updateVolumeDisplay(limit.volume);
+    }).catch(error => {
+      console.error('Failed to load volume:', error);
+    });
+  }
 
-    chrome.storage.local.get([storageKey], function(result) {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to load volume:', chrome.runtime.lastError);
-        return;
+  // Show which level the current volume comes from
+  function updateVolumeSource() {
+    if (!currentTabUrl) return Promise.resolve(null);
+
+    return resolveTabVolume().then(resolved => {
+      let text;
+      if (resolved.source === 'tab') {
+        text = 'This tab only, not saved';
+      } else if (resolved.source === 'site') {
+        text = `Saved for ${resolved.rule.pattern}`;
+      } else {
+        text = `Default volume (${resolved.volume}%)`;
       }
-      const savedVolume = result[storageKey] || 100;
-      volumeSlider.value = savedVolume;
-      updateVolumeDisplay(savedVolume);
+      volumeSourceText.textContent = text;
+      volumeSourceText.title = text;
+      tabOnlyInput.checked = resolved.source === 'tab';
+      return resolved;
+    }).catch(error => {
+      console.error('Failed to resolve volume source:', error);
+      return null;
     });
   }
 
@@ -78,6 +257,15 @@ document.addEventListener('DOMContentLoaded', function() {
     volumeInput.value = volume;
   }
 
+  // Show the level actually applied once quiet hours cap the chosen one
+  function showAppliedVolume(volume) {
+    const applied = VolumeSchedules.applyLimit(volume, quietHoursActive);
+    if (applied !== volume) {
+      volumeSlider.value = applied;
+      updateVolumeDisplay(applied);
+    }
+  }
+
   // Send volume change to content script with different behaviors
   function sendVolumeChange(volume, mode = 'debounced') {
     if (!currentTabId) return;
@@ -93,6 +281,7 @@ document.addEventListener('DOMContentLoaded', function() {
           volumeChangeTimer = null;
         }
         performVolumeChange(volume);
+        showAppliedVolume(volume);
         break;
 
       case 'debounced':
@@ -129,29 +318,50 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     performVolumeChange(volume);
+    showAppliedVolume(volume);
   }
 
   // Actual volume change implementation
   function performVolumeChange(volume) {
-    chrome.tabs.sendMessage(currentTabId, {
+    requestedVolume = volume;
+    // Picking a level means the user wants to hear it
+    if (isMuted) {
+      setMuted(false);
+    }
+    setTabVolume(currentTabId, currentTabUrl, volume, saveScopeSelect.value);
+  }
+
+  // Send volume to a tab's content script without saving it
+  function sendTabVolume(tabId, volume) {
+    chrome.tabs.sendMessage(tabId, {
       action: 'setVolume',
       volume: volume / 100
     }).catch(error => {
       // Ignore connection errors - content script may not be ready yet
       console.log('Content script not ready:', error);
     });
+  }
 
-    // Save volume for current tab (by hostname)
-    if (currentTabUrl) {
-      const hostname = getHostnameFromUrl(currentTabUrl);
-      const storageKey = `volume_url_${hostname}`;
+  // Send volume to a tab's content script and save it as a site rule, or as the tab's
+  // override when it has one. Without a scope the rule that currently provides the
+  // tab's volume is updated.
+  function setTabVolume(tabId, tabUrl, volume, scope) {
+    sendTabVolume(tabId, volume);
 
-      chrome.storage.local.set({
-        [storageKey]: volume
-      }, function() {
-        if (chrome.runtime.lastError) {
-          console.error('Failed to save volume:', chrome.runtime.lastError);
+    if (tabUrl) {
+      VolumeRules.getTabOverride(tabId, tabUrl).then(override => {
+        if (override) {
+          return VolumeRules.setTabOverride(tabId, tabUrl, volume);
+        }
+        return scope ?
+          VolumeRules.saveForUrl(tabUrl, scope, {volume: volume}) :
+          VolumeRules.saveForMatchingRule(tabUrl, 'volume', {volume: volume});
+      }).then(() => {
+        if (tabId === currentTabId) {
+          updateVolumeSource();
         }
+      }).catch(error => {
+        console.error('Failed to save volume:', error);
       });
     }
   }
@@ -169,6 +379,11 @@ document.addEventListener('DOMContentLoaded', function() {
     sendVolumeChange(volume, 'debounced'); // Use debounced for smooth slider dragging
   });
 
+  // Snap to the capped level once dragging ends, not while the thumb is held
+  volumeSlider.addEventListener('change', function() {
+    showAppliedVolume(parseInt(this.value));
+  });
+
   // Store original value when input starts
   let originalValue = volumeInput.value;
   let isInputFocused = false;
@@ -241,32 +456,116 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
-  // Control button events - immediate application
-  controlButtons.forEach(button => {
-    button.addEventListener('click', function() {
-      const volume = parseInt(this.dataset.volume);
-      volumeSlider.value = volume;
+  // Reflect mute and solo state on their buttons
+  function updateMuteButtons() {
+    muteButton.classList.toggle('active', isMuted);
+    muteButton.setAttribute('aria-pressed', String(isMuted));
+    muteButton.textContent = isMuted ? 'Unmute' : 'Mute';
 
-      // If input is currently focused, update it and blur to apply changes
-      if (isInputFocused) {
-        volumeInput.value = volume;
-        volumeInput.blur();
-      } else {
-        // Apply immediately for button clicks
-        sendVolumeChange(volume, 'immediate');
-      }
+    soloButton.classList.toggle('active', isSoloed);
+    soloButton.setAttribute('aria-pressed', String(isSoloed));
+    soloButton.textContent = isSoloed ? 'Release solo' : 'Solo this tab';
+  }
+
+  // Mute state is kept by the background so shortcuts, menus and the popup agree
+  function setMuted(muted) {
+    isMuted = muted;
+    updateMuteButtons();
+
+    chrome.runtime.sendMessage({action: 'setTabMuted', tabId: currentTabId, muted: muted}).catch(error => {
+      console.error('Failed to change mute state:', error);
+    });
+  }
+
+  // Load whether this tab is the soloed one
+  function loadSoloState() {
+    chrome.runtime.sendMessage({action: 'getSolo'}).then(response => {
+      isSoloed = Boolean(response && response.success && response.tabId === currentTabId);
+      updateMuteButtons();
+    }).catch(error => {
+      console.error('Failed to load solo state:', error);
+    });
+  }
+
+  muteButton.addEventListener('click', function() {
+    if (!currentTabId) return;
+    setMuted(!isMuted);
+  });
+
+  // Solo mutes every other tab until released (or until this tab closes)
+  soloButton.addEventListener('click', function() {
+    if (!currentTabId) return;
+
+    isSoloed = !isSoloed;
+    updateMuteButtons();
+    chrome.runtime.sendMessage({action: 'setSolo', tabId: currentTabId, solo: isSoloed}).catch(error => {
+      console.error('Failed to change solo state:', error);
     });
   });
 
+  // Apply a preset's volume, and its equalizer and speed when it has them
+  function applyPreset(preset) {
+    const volume = preset.volume;
+    volumeSlider.value = volume;
+
+    // If input is currently focused, update it and blur to apply changes
+    if (isInputFocused) {
+      volumeInput.value = volume;
+      volumeInput.blur();
+    } else {
+      // Apply immediately for button clicks
+      sendVolumeChange(volume, 'immediate');
+    }
+
+    if (preset.eq && EQ_PRESETS[preset.eq]) {
+      updateEqualizerDisplay(EQ_PRESETS[preset.eq], preset.eq);
+      if (eqChangeTimer) {
+        clearTimeout(eqChangeTimer);
+        eqChangeTimer = null;
+      }
+      performEqualizerChange(EQ_PRESETS[preset.eq], preset.eq);
+    }
+    if (preset.speed !== undefined) {
+      sendSpeedChange(preset.speed, 'immediate');
+    }
+  }
+
+  // Render the preset buttons from storage
+  function loadPresets() {
+    VolumePresets.load().then(presets => {
+      presetButtonsContainer.textContent = '';
+      presetButtons = presets.map(preset => {
+        const button = document.createElement('button');
+        button.className = 'control-button';
+        button.textContent = preset.label;
+
+        const extras = [];
+        if (preset.eq) extras.push(`${VolumePresets.EQ_PRESET_LABELS[preset.eq]} EQ`);
+        if (preset.speed !== undefined) extras.push(`${preset.speed}x speed`);
+        button.title = `Set volume to ${preset.volume}%${extras.length ? ` with ${extras.join(' and ')}` : ''}`;
+        button.setAttribute('aria-label', button.title);
+
+        button.addEventListener('click', () => applyPreset(preset));
+        presetButtonsContainer.appendChild(button);
+        return button;
+      });
+      updateControlsState();
+    }).catch(error => {
+      console.error('Failed to load presets:', error);
+    });
+  }
+
   // Volume increase/decrease button events with long press support
   let holdTimer = null;
   let holdInterval = null;
   let isHolding = false;
 
+  // Step from the level before quiet hours, so the capped level is never saved
   function changeVolume(delta) {
-    const currentVolume = parseInt(volumeInput.value);
-    const validVolume = isNaN(currentVolume) ? 100 : currentVolume;
-    const newVolume = Math.max(0, Math.min(500, validVolume + delta));
+    // A value being typed hasn't been applied yet, step from it instead
+    const typedVolume = parseInt(volumeInput.value);
+    const baseVolume = isInputFocused && !isNaN(typedVolume) ? typedVolume : requestedVolume;
+    const newVolume = Math.max(0, Math.min(500, baseVolume + delta));
     volumeSlider.value = newVolume;
     volumeInput.value = newVolume;
     sendVolumeChange(newVolume, 'immediate');
@@ -320,22 +619,24 @@ document.addEventListener('DOMContentLoaded', function() {
   // Initialize with current slider value
   updateVolumeDisplay(parseInt(volumeSlider.value));
 
-  // Load disabled state for current website
-  function loadDisabledState() {
+  // Load disabled state and the scope of the current volume rule
+  function loadSiteRules() {
     if (!currentTabUrl) return;
 
-    const hostname = getHostnameFromUrl(currentTabUrl);
-    const storageKey = `disabled_${hostname}`;
-
-    chrome.storage.local.get([storageKey], function(result) {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to load disabled state:', chrome.runtime.lastError);
-        return;
-      }
-
-      isDisabled = result[storageKey] || false;
+    VolumeRules.getSettingsForUrl(currentTabUrl).then(settings => {
+      isDisabled = settings.disabled;
       updateDisableButton();
       updateControlsState();
+
+      // Keep saving to the scope the current volume came from
+      saveScopeSelect.value = VolumeRules.getSaveScope(settings);
+
+      updateStereoDisplay({balance: 0, mode: 'stereo', ...settings.stereo});
+      updateSpeedDisplay({rate: 1, preservePitch: true, ...settings.speed});
+      updateVoiceBoostDisplay({enabled: false, intensity: 50, ...settings.voice});
+      updateAutoDuckDisplay({enabled: false, amount: 60, ...settings.duck});
+    }).catch(error => {
+      console.error('Failed to load disabled state:', error);
     });
   }
 
@@ -358,7 +659,12 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Update controls state (enable/disable based on disabled state)
   function updateControlsState() {
-    const controls = [volumeSlider, volumeInput, volumeDecrease, volumeIncrease, ...controlButtons];
+    const controls = [volumeSlider, volumeInput, volumeDecrease, volumeIncrease, ...presetButtons, muteButton, soloButton, tabOnlyInput,
+      speedSlider, speedDecrease, speedIncrease, ...speedPresetButtons, preservePitchInput,
+      eqPresetSelect, ...eqSliders, stereoModeSelect, stereoBalanceInput, limiterEnabledInput, limiterThresholdInput, limiterRatioInput,
+      voiceBoostEnabledInput, voiceBoostIntensityInput,
+      autoLevelEnabledInput, autoLevelTargetInput, autoLevelAttackInput, autoLevelReleaseInput, autoLevelMaxBoostInput,
+      autoDuckEnabledInput, autoDuckAmountInput];
 
     controls.forEach(control => {
       control.disabled = isDisabled;
@@ -378,18 +684,10 @@ document.addEventListener('DOMContentLoaded', function() {
 
     isDisabled = !isDisabled;
 
-    const hostname = getHostnameFromUrl(currentTabUrl);
-    const storageKey = `disabled_${hostname}`;
-
-    // Save disabled state
-    chrome.storage.local.set({
-      [storageKey]: isDisabled
-    }, function() {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to save disabled state:', chrome.runtime.lastError);
-        return;
-      }
-
+    // Save disabled state at the selected scope
+    VolumeRules.saveForUrl(currentTabUrl, saveScopeSelect.value, {
+      disabled: isDisabled
+    }).then(() => {
       updateDisableButton();
       updateControlsState();
 
@@ -403,6 +701,1272 @@ document.addEventListener('DOMContentLoaded', function() {
 
       // Reload the page to apply changes
       chrome.tabs.reload(currentTabId);
+    }).catch(error => {
+      console.error('Failed to save disabled state:', error);
+    });
+  });
+
+  // Changing the scope saves the current volume for that scope right away
+  saveScopeSelect.addEventListener('change', function() {
+    if (!currentTabUrl || tabOnlyInput.checked) return;
+
+    VolumeRules.saveForUrl(currentTabUrl, this.value, {
+      volume: validateVolume(volumeInput.value)
+    }).then(updateVolumeSource).catch(error => {
+      console.error('Failed to save volume:', error);
+    });
+  });
+
+  // "This tab only" keeps volume changes in the tab until it closes or leaves the site;
+  // turning it off returns to the saved or default volume
+  tabOnlyInput.addEventListener('change', function() {
+    if (!currentTabUrl) return;
+
+    const changed = this.checked ?
+      VolumeRules.setTabOverride(currentTabId, currentTabUrl, validateVolume(volumeInput.value)) :
+      VolumeRules.clearTabOverride(currentTabId);
+
+    changed.then(updateVolumeSource).then(resolved => {
+      if (resolved && resolved.source !== 'tab') {
+        volumeSlider.value = resolved.volume;
+        updateVolumeDisplay(resolved.volume);
+        sendTabVolume(currentTabId, resolved.volume);
+      }
+    }).catch(error => {
+      console.error('Failed to change tab override:', error);
+    });
+  });
+
+  // Load the global default volume
+  function loadDefaultVolume() {
+    VolumeRules.getDefaultVolume().then(volume => {
+      defaultVolumeInput.value = volume;
+    }).catch(error => {
+      console.error('Failed to load default volume:', error);
+    });
+  }
+
+  // Save the global default volume; pages without a saved volume pick it up themselves
+  defaultVolumeInput.addEventListener('change', function() {
+    const volume = parseInt(this.value);
+    if (isNaN(volume) || volume < 0 || volume > 500) {
+      loadDefaultVolume(); // Restore saved value
+      return;
+    }
+
+    chrome.storage.local.set({[VolumeRules.DEFAULT_VOLUME_KEY]: volume}).then(updateVolumeSource).then(resolved => {
+      if (resolved && resolved.source === 'default') {
+        volumeSlider.value = resolved.volume;
+        updateVolumeDisplay(resolved.volume);
+      }
+    }).catch(error => {
+      console.error('Failed to save default volume:', error);
+    });
+  });
+
+  // Load keyboard shortcut step size
+  function loadShortcutStep() {
+    chrome.storage.local.get(['shortcut_step'], function(result) {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to load shortcut step:', chrome.runtime.lastError);
+        return;
+      }
+      shortcutStepInput.value = result.shortcut_step || 10;
+    });
+  }
+
+  // Save keyboard shortcut step size (used by the background worker)
+  shortcutStepInput.addEventListener('change', function() {
+    const step = parseInt(this.value);
+    if (isNaN(step) || step < 1 || step > 100) {
+      loadShortcutStep(); // Restore saved value
+      return;
+    }
+
+    chrome.storage.local.set({
+      shortcut_step: step
+    }, function() {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save shortcut step:', chrome.runtime.lastError);
+      }
+    });
+  });
+
+  // Shortcut keys can only be changed on Chrome's own shortcuts page
+  openShortcutsButton.addEventListener('click', function() {
+    chrome.tabs.create({url: 'chrome://extensions/shortcuts'});
+  });
+
+  openOptionsButton.addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+
+  editPresetsButton.addEventListener('click', function() {
+    chrome.tabs.create({url: chrome.runtime.getURL('options.html#presets')});
+  });
+
+  // Build equalizer band sliders
+  function createEqualizerSliders() {
+    eqSliders = EQ_BAND_LABELS.map((label, index) => {
+      const band = document.createElement('div');
+      band.className = 'eq-band';
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.className = 'eq-slider';
+      slider.min = '-12';
+      slider.max = '12';
+      slider.step = '1';
+      slider.value = '0';
+      slider.setAttribute('aria-label', `${label} Hz band`);
+      slider.title = `${label} Hz: 0 dB`;
+
+      const bandLabel = document.createElement('span');
+      bandLabel.className = 'eq-label';
+      bandLabel.textContent = label;
+
+      slider.addEventListener('input', function() {
+        this.title = `${label} Hz: ${this.value} dB`;
+        eqPresetSelect.value = 'custom';
+        sendEqualizerChange(getEqualizerGains(), 'custom');
+      });
+
+      band.appendChild(slider);
+      band.appendChild(bandLabel);
+      eqBandsContainer.appendChild(band);
+      return slider;
+    });
+  }
+
+  // Read band gains from sliders
+  function getEqualizerGains() {
+    return eqSliders.map(slider => parseInt(slider.value));
+  }
+
+  // Update equalizer sliders and preset selector
+  function updateEqualizerDisplay(gains, preset) {
+    eqSliders.forEach((slider, index) => {
+      slider.value = gains[index] || 0;
+      slider.title = `${EQ_BAND_LABELS[index]} Hz: ${slider.value} dB`;
+    });
+    eqPresetSelect.value = EQ_PRESETS[preset] ? preset : 'custom';
+  }
+
+  // Load saved equalizer for current tab
+  function loadSavedEqualizer() {
+    if (!currentTabUrl) return;
+
+    const hostname = getHostnameFromUrl(currentTabUrl);
+    const storageKey = `eq_url_${hostname}`;
+
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to load equalizer:', chrome.runtime.lastError);
+        return;
+      }
+      const savedEqualizer = result[storageKey] || {preset: 'flat', gains: EQ_PRESETS.flat};
+      updateEqualizerDisplay(savedEqualizer.gains, savedEqualizer.preset);
+    });
+  }
+
+  // Send equalizer change to content script (debounced like the volume slider)
+  function sendEqualizerChange(gains, preset) {
+    if (!currentTabId) return;
+
+    if (eqChangeTimer) {
+      clearTimeout(eqChangeTimer);
+    }
+    eqChangeTimer = setTimeout(() => {
+      performEqualizerChange(gains, preset);
+      eqChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual equalizer change implementation
+  function performEqualizerChange(gains, preset) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setEqualizer',
+      gains: gains
+    }).catch(error => {
+      console.log('Content script not ready:', error);
+    });
+
+    // Save equalizer for current tab (by hostname)
+    if (currentTabUrl) {
+      const hostname = getHostnameFromUrl(currentTabUrl);
+      const storageKey = `eq_url_${hostname}`;
+
+      chrome.storage.local.set({
+        [storageKey]: {preset: preset, gains: gains}
+      }, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save equalizer:', chrome.runtime.lastError);
+        }
+      });
+    }
+  }
+
+  // Preset selection - apply immediately
+  eqPresetSelect.addEventListener('change', function() {
+    const gains = EQ_PRESETS[this.value];
+    if (!gains) return;
+
+    updateEqualizerDisplay(gains, this.value);
+    if (eqChangeTimer) {
+      clearTimeout(eqChangeTimer);
+      eqChangeTimer = null;
+    }
+    performEqualizerChange(gains, this.value);
+  });
+
+  // Update speed controls
+  function updateSpeedDisplay(settings) {
+    speedSlider.value = settings.rate;
+    preservePitchInput.checked = settings.preservePitch;
+    speedValue.textContent = `${Number(settings.rate).toFixed(2)}x`;
+  }
+
+  // Send speed change to content script; slider drags are debounced, buttons apply immediately
+  function sendSpeedChange(rate, mode = 'debounced') {
+    if (!currentTabId) return;
+
+    // Round to the slider step to avoid floating point drift from the +/- buttons
+    const settings = {
+      rate: Math.max(0.25, Math.min(4, Math.round(rate * 100) / 100)),
+      preservePitch: preservePitchInput.checked
+    };
+    updateSpeedDisplay(settings);
+
+    if (speedChangeTimer) {
+      clearTimeout(speedChangeTimer);
+      speedChangeTimer = null;
+    }
+    if (mode === 'immediate') {
+      performSpeedChange(settings);
+      return;
+    }
+    speedChangeTimer = setTimeout(() => {
+      performSpeedChange(settings);
+      speedChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual speed change implementation, saved in the site rule next to the volume
+  function performSpeedChange(settings) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setPlaybackRate',
+      settings: settings
+    }).catch(error => {
+      console.log('Content script not ready:', error);
+    });
+
+    if (currentTabUrl) {
+      VolumeRules.saveForScope(currentTabUrl, {speed: settings}, saveScopeSelect.value).catch(error => {
+        console.error('Failed to save playback speed:', error);
+      });
+    }
+  }
+
+  speedSlider.addEventListener('input', function() {
+    sendSpeedChange(parseFloat(this.value));
+  });
+
+  speedDecrease.addEventListener('click', function() {
+    sendSpeedChange(parseFloat(speedSlider.value) - 0.05, 'immediate');
+  });
+
+  speedIncrease.addEventListener('click', function() {
+    sendSpeedChange(parseFloat(speedSlider.value) + 0.05, 'immediate');
+  });
+
+  speedPresetButtons.forEach(button => {
+    button.addEventListener('click', function() {
+      sendSpeedChange(parseFloat(this.dataset.speed), 'immediate');
+    });
+  });
+
+  preservePitchInput.addEventListener('change', function() {
+    sendSpeedChange(parseFloat(speedSlider.value), 'immediate');
+  });
+
+  // Update stereo controls
+  function updateStereoDisplay(settings) {
+    stereoModeSelect.value = settings.mode;
+    stereoBalanceInput.value = settings.balance;
+
+    if (settings.balance === 0) {
+      stereoBalanceValue.textContent = 'Center';
+    } else {
+      stereoBalanceValue.textContent = `${settings.balance < 0 ? 'L' : 'R'} ${Math.abs(settings.balance)}`;
+    }
+  }
+
+  // Send stereo change to content script (debounced like the volume slider)
+  function sendStereoChange() {
+    if (!currentTabId) return;
+
+    const settings = {
+      balance: parseInt(stereoBalanceInput.value),
+      mode: stereoModeSelect.value
+    };
+    updateStereoDisplay(settings);
+
+    if (stereoChangeTimer) {
+      clearTimeout(stereoChangeTimer);
+    }
+    stereoChangeTimer = setTimeout(() => {
+      performStereoChange(settings);
+      stereoChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual stereo change implementation, saved in the site rule next to the volume
+  function performStereoChange(settings) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setStereo',
+      settings: settings
+    }).catch(error => {
+      console.log('Content script not ready:', error);
     });
+
+    if (currentTabUrl) {
+      VolumeRules.saveForScope(currentTabUrl, {stereo: settings}, saveScopeSelect.value).catch(error => {
+        console.error('Failed to save stereo settings:', error);
+      });
+    }
+  }
+
+  stereoModeSelect.addEventListener('change', sendStereoChange);
+  stereoBalanceInput.addEventListener('input', sendStereoChange);
+
+  // Double click recenters the balance
+  stereoBalanceInput.addEventListener('dblclick', function() {
+    this.value = 0;
+    sendStereoChange();
   });
-});
\ No newline at end of file
+
+  // Read limiter settings from controls
+  function getLimiterSettings() {
+    return {
+      enabled: limiterEnabledInput.checked,
+      threshold: parseInt(limiterThresholdInput.value),
+      ratio: parseInt(limiterRatioInput.value)
+    };
+  }
+
+  // Update limiter controls
+  function updateLimiterDisplay(settings) {
+    limiterEnabledInput.checked = settings.enabled;
+    limiterThresholdInput.value = settings.threshold;
+    limiterRatioInput.value = settings.ratio;
+    limiterThresholdValue.textContent = `${settings.threshold} dB`;
+    limiterRatioValue.textContent = `${settings.ratio}:1`;
+  }
+
+  // Load saved limiter for current tab
+  function loadSavedLimiter() {
+    if (!currentTabUrl) return;
+
+    const hostname = getHostnameFromUrl(currentTabUrl);
+    const storageKey = `limiter_url_${hostname}`;
+
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to load limiter:', chrome.runtime.lastError);
+        return;
+      }
+      updateLimiterDisplay({enabled: false, threshold: -6, ratio: 20, ...result[storageKey]});
+    });
+  }
+
+  // Send limiter change to content script (debounced like the volume slider)
+  function sendLimiterChange() {
+    if (!currentTabId) return;
+
+    const settings = getLimiterSettings();
+    updateLimiterDisplay(settings);
+
+    if (limiterChangeTimer) {
+      clearTimeout(limiterChangeTimer);
+    }
+    limiterChangeTimer = setTimeout(() => {
+      performLimiterChange(settings);
+      limiterChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual limiter change implementation
+  function performLimiterChange(settings) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setLimiter',
+      settings: settings
+    }).catch(error => {
+      console.log('Content script not ready:', error);
+    });
+
+    // Save limiter for current tab (by hostname)
+    if (currentTabUrl) {
+      const hostname = getHostnameFromUrl(currentTabUrl);
+      const storageKey = `limiter_url_${hostname}`;
+
+      chrome.storage.local.set({
+        [storageKey]: settings
+      }, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save limiter:', chrome.runtime.lastError);
+        }
+      });
+    }
+  }
+
+  limiterEnabledInput.addEventListener('change', sendLimiterChange);
+  limiterThresholdInput.addEventListener('input', sendLimiterChange);
+  limiterRatioInput.addEventListener('input', sendLimiterChange);
+
+  // Read voice boost settings from controls
+  function getVoiceBoostSettings() {
+    return {
+      enabled: voiceBoostEnabledInput.checked,
+      intensity: parseInt(voiceBoostIntensityInput.value)
+    };
+  }
+
+  // Update voice boost controls
+  function updateVoiceBoostDisplay(settings) {
+    voiceBoostEnabledInput.checked = settings.enabled;
+    voiceBoostIntensityInput.value = settings.intensity;
+    voiceBoostIntensityValue.textContent = `${settings.intensity}%`;
+  }
+
+  // Send voice boost change to content script (debounced like the volume slider)
+  function sendVoiceBoostChange() {
+    if (!currentTabId) return;
+
+    const settings = getVoiceBoostSettings();
+    updateVoiceBoostDisplay(settings);
+
+    if (voiceBoostChangeTimer) {
+      clearTimeout(voiceBoostChangeTimer);
+    }
+    voiceBoostChangeTimer = setTimeout(() => {
+      performVoiceBoostChange(settings);
+      voiceBoostChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual voice boost change implementation, saved in the site rule next to the volume
+  function performVoiceBoostChange(settings) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setVoiceBoost',
+      settings: settings
+    }).catch(error => {
+      console.log('Content script not ready:', error);
+    });
+
+    if (currentTabUrl) {
+      VolumeRules.saveForScope(currentTabUrl, {voice: settings}, saveScopeSelect.value).catch(error => {
+        console.error('Failed to save voice boost:', error);
+      });
+    }
+  }
+
+  voiceBoostEnabledInput.addEventListener('change', sendVoiceBoostChange);
+  voiceBoostIntensityInput.addEventListener('input', sendVoiceBoostChange);
+
+  // Read auto level settings from controls
+  function getAutoLevelSettings() {
+    return {
+      enabled: autoLevelEnabledInput.checked,
+      target: parseInt(autoLevelTargetInput.value),
+      attack: parseFloat(autoLevelAttackInput.value),
+      release: parseFloat(autoLevelReleaseInput.value),
+      maxBoost: parseInt(autoLevelMaxBoostInput.value)
+    };
+  }
+
+  // Update auto level controls
+  function updateAutoLevelDisplay(settings) {
+    autoLevelEnabledInput.checked = settings.enabled;
+    autoLevelTargetInput.value = settings.target;
+    autoLevelAttackInput.value = settings.attack;
+    autoLevelReleaseInput.value = settings.release;
+    autoLevelMaxBoostInput.value = settings.maxBoost;
+    autoLevelTargetValue.textContent = `${settings.target} dB`;
+    autoLevelAttackValue.textContent = `${settings.attack} s`;
+    autoLevelReleaseValue.textContent = `${settings.release} s`;
+    autoLevelMaxBoostValue.textContent = `+${settings.maxBoost} dB`;
+  }
+
+  // Load saved auto level for current tab
+  function loadSavedAutoLevel() {
+    if (!currentTabUrl) return;
+
+    const hostname = getHostnameFromUrl(currentTabUrl);
+    const storageKey = `autolevel_url_${hostname}`;
+
+    chrome.storage.local.get([storageKey], function(result) {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to load auto level:', chrome.runtime.lastError);
+        return;
+      }
+      updateAutoLevelDisplay({enabled: false, target: -20, attack: 0.5, release: 3, maxBoost: 12, ...result[storageKey]});
+    });
+  }
+
+  // Send auto level change to content script (debounced like the volume slider)
+  function sendAutoLevelChange() {
+    if (!currentTabId) return;
+
+    const settings = getAutoLevelSettings();
+    updateAutoLevelDisplay(settings);
+
+    if (autoLevelChangeTimer) {
+      clearTimeout(autoLevelChangeTimer);
+    }
+    autoLevelChangeTimer = setTimeout(() => {
+      performAutoLevelChange(settings);
+      autoLevelChangeTimer = null;
+    }, 50);
+  }
+
+  // Actual auto level change implementation
+  function performAutoLevelChange(settings) {
+    chrome.tabs.sendMessage(currentTabId, {
+      action: 'setAutoLevel',
+      settings: settings
+    }).catch(error => {
+      console.log('Content script not ready:', error);
+    });
+
+    // Save auto level for current tab (by hostname)
+    if (currentTabUrl) {
+      const hostname = getHostnameFromUrl(currentTabUrl);
+      const storageKey = `autolevel_url_${hostname}`;
+
+      chrome.storage.local.set({
+        [storageKey]: settings
+      }, function() {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save auto level:', chrome.runtime.lastError);
+        }
+      });
+    }
+  }
+
+  autoLevelEnabledInput.addEventListener('change', sendAutoLevelChange);
+  autoLevelTargetInput.addEventListener('input', sendAutoLevelChange);
+  autoLevelAttackInput.addEventListener('input', sendAutoLevelChange);
+  autoLevelReleaseInput.addEventListener('input', sendAutoLevelChange);
+  autoLevelMaxBoostInput.addEventListener('input', sendAutoLevelChange);
+
+  // Read auto duck settings from controls
+  function getAutoDuckSettings() {
+    return {
+      enabled: autoDuckEnabledInput.checked,
+      amount: parseInt(autoDuckAmountInput.value)
+    };
+  }
+
+  // Update auto duck controls
+  function updateAutoDuckDisplay(settings) {
+    autoDuckEnabledInput.checked = settings.enabled;
+    autoDuckAmountInput.value = settings.amount;
+    autoDuckAmountValue.textContent = `-${settings.amount}%`;
+  }
+
+  // Save auto duck change in the site rule (debounced like the volume slider); the
+  // background picks up the stored setting and ducks the tab while another one plays
+  function sendAutoDuckChange() {
+    if (!currentTabUrl) return;
+
+    const settings = getAutoDuckSettings();
+    updateAutoDuckDisplay(settings);
+
+    if (autoDuckChangeTimer) {
+      clearTimeout(autoDuckChangeTimer);
+    }
+    autoDuckChangeTimer = setTimeout(() => {
+      VolumeRules.saveForScope(currentTabUrl, {duck: settings}, saveScopeSelect.value).catch(error => {
+        console.error('Failed to save auto duck:', error);
+      });
+      autoDuckChangeTimer = null;
+    }, 50);
+  }
+
+  autoDuckEnabledInput.addEventListener('change', sendAutoDuckChange);
+  autoDuckAmountInput.addEventListener('input', sendAutoDuckChange);
+
+  // Format a media duration in m:ss
+  function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'live';
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  // Show a single message in the media list
+  function showMediaMessage(message) {
+    mediaList.textContent = '';
+    const empty = document.createElement('div');
+    empty.className = 'media-empty';
+    empty.textContent = message;
+    mediaList.appendChild(empty);
+  }
+
+  // Send a message to the content script in every frame of the current tab.
+  // Resolves to [{frameId, url, response}], response is null where no content script answered.
+  async function sendToAllFrames(message) {
+    let frames;
+    try {
+      frames = await chrome.webNavigation.getAllFrames({tabId: currentTabId});
+    } catch (error) {
+      console.error('Failed to list frames:', error);
+      frames = null;
+    }
+    if (!frames || frames.length === 0) {
+      frames = [{frameId: 0, url: currentTabUrl}];
+    }
+
+    return Promise.all(frames.map(frame => {
+      return chrome.tabs.sendMessage(currentTabId, message, {frameId: frame.frameId}).then(response => {
+        return {frameId: frame.frameId, url: frame.url, response: response};
+      }).catch(() => {
+        // No content script in this frame (e.g. sandboxed or not yet loaded)
+        return {frameId: frame.frameId, url: frame.url, response: null};
+      });
+    }));
+  }
+
+  // Load media elements from the content script in every frame of the tab
+  async function loadMediaList() {
+    if (!currentTabId) return;
+
+    const results = await sendToAllFrames({action: 'listMedia'});
+
+    const topFrame = results.find(result => result.frameId === 0);
+    if (!topFrame || !topFrame.response) {
+      showMediaMessage('Not available on this page');
+      return;
+    }
+    if (!topFrame.response.success) {
+      showMediaMessage(topFrame.response.error || 'No media found');
+      return;
+    }
+
+    renderMediaList(results.filter(result => result.response && result.response.success));
+  }
+
+  // Render per-frame element counts, sliders and mute buttons
+  // Subframes are only listed when they contain media, ad-heavy pages have many empty ones
+  function renderMediaList(frames) {
+    const total = frames.reduce((sum, frame) => sum + frame.response.media.length, 0);
+    if (total === 0) {
+      showMediaMessage(`No audio or video found (${frames.length} ${frames.length === 1 ? 'frame' : 'frames'} searched)`);
+      return;
+    }
+
+    mediaList.textContent = '';
+    frames.forEach(frame => {
+      const media = frame.response.media;
+      if (frame.frameId !== 0 && media.length === 0) return;
+
+      const header = document.createElement('div');
+      header.className = 'media-info media-frame';
+
+      const frameName = document.createElement('span');
+      frameName.className = 'media-label';
+      frameName.textContent = frame.frameId === 0 ? 'This page' : getHostnameFromUrl(frame.url);
+      frameName.title = frame.url || '';
+
+      const count = document.createElement('span');
+      count.className = 'media-meta';
+      count.textContent = `${media.length} found`;
+
+      header.appendChild(frameName);
+      header.appendChild(count);
+      mediaList.appendChild(header);
+
+      renderFrameMedia(frame.frameId, media);
+    });
+
+    // Subframe players count too, the top frame only reports its own
+    const modes = new Set();
+    frames.forEach(frame => frame.response.media.forEach(item => {
+      if (item.mode && item.mode !== 'pending') modes.add(item.mode === 'page' ? 'webaudio' : item.mode);
+    }));
+    if (modes.size > 0) {
+      updateBoostNotice(modes.size === 1 ? [...modes][0] : 'mixed');
+    }
+  }
+
+  // Render sliders and mute buttons for the media of one frame
+  function renderFrameMedia(frameId, media) {
+    media.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'media-item';
+
+      const info = document.createElement('div');
+      info.className = 'media-info';
+
+      const label = document.createElement('span');
+      label.className = 'media-label';
+      label.textContent = item.label;
+      label.title = item.src || item.label;
+
+      const meta = document.createElement('span');
+      meta.className = 'media-meta';
+      meta.textContent = `${item.tag} · ${formatDuration(item.duration)}${item.paused ? ' · paused' : ''}`;
+
+      info.appendChild(label);
+      info.appendChild(meta);
+
+      const controls = document.createElement('div');
+      controls.className = 'setting-row';
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.className = 'setting-range';
+      slider.min = '0';
+      // Set through element.volume, which can't go above 100%
+      const maxVolume = item.mode === 'fallback' || item.mode === 'page' ? 100 : 200;
+      slider.max = String(maxVolume);
+      slider.step = '1';
+      slider.value = Math.min(maxVolume, Math.round(item.volume * 100));
+      slider.disabled = isDisabled;
+      slider.setAttribute('aria-label', `Volume of ${item.label} (0-${maxVolume}%)`);
+
+      const value = document.createElement('span');
+      value.className = 'setting-value';
+      value.textContent = `${slider.value}%`;
+
+      const muteButton = document.createElement('button');
+      muteButton.className = 'small-button';
+      muteButton.textContent = 'Mute';
+      muteButton.disabled = isDisabled;
+      muteButton.classList.toggle('active', item.muted);
+      muteButton.setAttribute('aria-pressed', String(item.muted));
+
+      slider.addEventListener('input', function() {
+        value.textContent = `${this.value}%`;
+        sendElementVolumeChange(frameId, item.id, {volume: parseInt(this.value) / 100});
+      });
+
+      muteButton.addEventListener('click', function() {
+        const muted = !this.classList.contains('active');
+        this.classList.toggle('active', muted);
+        this.setAttribute('aria-pressed', String(muted));
+        sendElementVolumeChange(frameId, item.id, {muted: muted});
+      });
+
+      controls.appendChild(slider);
+      controls.appendChild(value);
+      controls.appendChild(muteButton);
+
+      row.appendChild(info);
+      if (item.mode === 'fallback') {
+        const notice = document.createElement('span');
+        notice.className = 'media-notice';
+        notice.textContent = 'Boost unavailable on this player';
+        notice.title = FALLBACK_REASONS[item.fallbackReason] || '';
+        row.appendChild(notice);
+      }
+      row.appendChild(controls);
+      mediaList.appendChild(row);
+    });
+  }
+
+  // Send a per-element volume change to the element's frame (debounced per element)
+  function sendElementVolumeChange(frameId, id, change) {
+    if (!currentTabId) return;
+
+    // Merge with a pending change so a quick mute after a drag is not lost
+    const key = `${frameId}:${id}`;
+    const pending = elementVolumeTimers[key];
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+    const merged = {...(pending ? pending.change : {}), ...change};
+
+    elementVolumeTimers[key] = {change: merged, timer: setTimeout(() => {
+      delete elementVolumeTimers[key];
+      chrome.tabs.sendMessage(currentTabId, {
+        action: 'setElementVolume',
+        id: id,
+        ...merged
+      }, {frameId: frameId}).catch(error => {
+        console.log('Content script not ready:', error);
+      });
+    }, 50)};
+  }
+
+  // Load media list when the panel is opened
+  mediaPanel.addEventListener('toggle', function() {
+    if (this.open) {
+      loadMediaList();
+    }
+  });
+
+  refreshMediaButton.addEventListener('click', loadMediaList);
+
+  // Show a single message in the diagnostics list
+  function showDiagnosticsMessage(message) {
+    diagnosticsList.textContent = '';
+    const empty = document.createElement('div');
+    empty.className = 'media-empty';
+    empty.textContent = message;
+    diagnosticsList.appendChild(empty);
+  }
+
+  // Add a label/value line to the diagnostics list
+  function addDiagnosticsLine(label, value, className = 'media-info') {
+    const line = document.createElement('div');
+    line.className = className;
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'media-label';
+    labelSpan.textContent = label;
+    labelSpan.title = label;
+
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'media-meta';
+    valueSpan.textContent = value;
+
+    line.appendChild(labelSpan);
+    line.appendChild(valueSpan);
+    diagnosticsList.appendChild(line);
+  }
+
+  // Render the status of the top frame and of every subframe with media or audio
+  function renderDiagnostics(results) {
+    const topFrame = results.find(result => result.frameId === 0);
+    if (!topFrame || !topFrame.response || !topFrame.response.success) {
+      showDiagnosticsMessage('Content script not running on this page (browser pages and the web store can\'t be controlled)');
+      return;
+    }
+
+    diagnosticsList.textContent = '';
+    const unreachable = results.filter(result => !result.response).length;
+
+    results.filter(result => result.response && result.response.success).forEach(result => {
+      const status = result.response.status;
+      if (!status.isTopFrame && status.found === 0 && !status.audioContextState) return;
+
+      const frameName = status.isTopFrame ? 'This page' : getHostnameFromUrl(status.url);
+      addDiagnosticsLine(frameName, `frame ${result.frameId}`, 'media-info media-frame');
+
+      if (status.disabled) {
+        addDiagnosticsLine('Disabled on this site', 'not running');
+        return;
+      }
+
+      let audioState = status.audioContextState || (status.initialized ? 'unavailable' : 'not started');
+      if (status.audioContextState === 'suspended') {
+        audioState += ', waiting for a click on the page';
+      }
+      addDiagnosticsLine('Audio', audioState);
+      addDiagnosticsLine('Volume', `${Math.round(status.volume * 100)}%`);
+      addDiagnosticsLine('Players', `${status.found} found · ${status.connected} connected${status.fallback ? ` · ${status.fallback} without boost` : ''}`);
+      if (status.pageGraphs > 0) {
+        addDiagnosticsLine('Page audio graphs', `${status.pageGraphs} routed`);
+      }
+
+      status.elements.forEach(element => {
+        if (element.mode === 'webaudio' || element.mode === 'page') return;
+        const problem = element.error || FALLBACK_REASONS[element.fallbackReason] || 'Not connected yet';
+        addDiagnosticsLine(element.label, problem, 'media-info media-notice');
+      });
+    });
+
+    if (unreachable > 0) {
+      addDiagnosticsLine('Frames without content script', String(unreachable));
+    }
+  }
+
+  // Load the status of every frame of the tab
+  async function loadDiagnostics() {
+    if (!currentTabId) return;
+    renderDiagnostics(await sendToAllFrames({action: 'getStatus'}));
+  }
+
+  // Load diagnostics when the panel is opened
+  diagnosticsPanel.addEventListener('toggle', function() {
+    if (this.open) {
+      loadDiagnostics();
+    }
+  });
+
+  refreshDiagnosticsButton.addEventListener('click', loadDiagnostics);
+
+  // Resume audio and reconnect players in every frame, then show the new state
+  reconnectAudioButton.addEventListener('click', async function() {
+    if (!currentTabId) return;
+
+    reconnectAudioButton.disabled = true;
+    await sendToAllFrames({action: 'reconnectAudio'});
+    reconnectAudioButton.disabled = false;
+    loadDiagnostics();
+    loadSavedVolume();
+  });
+
+  // Show a single message in the mixer list
+  function showMixerMessage(message) {
+    mixerList.textContent = '';
+    const empty = document.createElement('div');
+    empty.className = 'media-empty';
+    empty.textContent = message;
+    mixerList.appendChild(empty);
+  }
+
+  // Load every audible tab and its current volume
+  async function loadMixer() {
+    let tabs;
+    try {
+      tabs = await chrome.tabs.query({audible: true});
+    } catch (error) {
+      console.error('Failed to query tabs:', error);
+      showMixerMessage('Failed to load tabs');
+      return;
+    }
+
+    if (tabs.length === 0) {
+      showMixerMessage('No tabs are playing audio');
+      return;
+    }
+
+    const entries = await Promise.all(tabs.map(tab => {
+      return chrome.tabs.sendMessage(tab.id, {
+        action: 'getVolume'
+      }, {frameId: 0}).then(response => {
+        const available = Boolean(response && response.success);
+        return {
+          tab: tab,
+          available: available,
+          volume: available ? Math.round(response.volume * 100) : 100,
+          muted: available ? Boolean(response.muted) : Boolean(tab.mutedInfo && tab.mutedInfo.muted)
+        };
+      }).catch(() => {
+        // No content script (e.g. chrome:// pages), only native mute is possible
+        return {tab: tab, available: false, volume: 100, muted: Boolean(tab.mutedInfo && tab.mutedInfo.muted)};
+      });
+    }));
+
+    renderMixer(entries);
+  }
+
+  // Render one row per audible tab
+  function renderMixer(entries) {
+    mixerList.textContent = '';
+
+    entries.forEach(({tab, available, volume, muted}) => {
+      const row = document.createElement('div');
+      row.className = 'media-item';
+
+      const info = document.createElement('div');
+      info.className = 'media-info';
+
+      const title = document.createElement('span');
+      title.className = 'media-label mixer-title';
+      title.title = tab.title || tab.url || '';
+
+      if (tab.favIconUrl) {
+        const favicon = document.createElement('img');
+        favicon.className = 'mixer-favicon';
+        favicon.src = tab.favIconUrl;
+        favicon.alt = '';
+        title.appendChild(favicon);
+      }
+      title.appendChild(document.createTextNode(tab.title || getHostnameFromUrl(tab.url)));
+      info.appendChild(title);
+
+      const controls = document.createElement('div');
+      controls.className = 'setting-row';
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.className = 'setting-range';
+      slider.min = '0';
+      slider.max = '500';
+      slider.step = '1';
+      slider.value = volume;
+      slider.disabled = !available;
+      slider.setAttribute('aria-label', `Volume of ${tab.title || 'tab'} (0-500%)`);
+
+      const value = document.createElement('span');
+      value.className = 'setting-value';
+      value.textContent = available ? `${volume}%` : '—';
+
+      const muteButton = document.createElement('button');
+      muteButton.className = 'small-button';
+      muteButton.textContent = 'Mute';
+      muteButton.classList.toggle('active', muted);
+      muteButton.setAttribute('aria-pressed', String(muted));
+
+      slider.addEventListener('input', function() {
+        const newVolume = parseInt(this.value);
+        value.textContent = `${newVolume}%`;
+        sendMixerVolumeChange(tab, newVolume);
+      });
+
+      // Mixer mute goes through the background like the main Mute button, so the badge and
+      // solo see it; tabs without the content script fall back to the tab's native mute
+      muteButton.addEventListener('click', function() {
+        const newMuted = !this.classList.contains('active');
+        const request = available ?
+          chrome.runtime.sendMessage({action: 'setTabMuted', tabId: tab.id, muted: newMuted}).then(response => {
+            if (!response || !response.success) {
+              throw new Error(response && response.error ? response.error : 'No response from background');
+            }
+          }) :
+          chrome.tabs.update(tab.id, {muted: newMuted});
+
+        request.then(() => {
+          this.classList.toggle('active', newMuted);
+          this.setAttribute('aria-pressed', String(newMuted));
+          if (available && tab.id === currentTabId) {
+            isMuted = newMuted;
+            updateMuteButtons();
+          }
+        }).catch(error => {
+          console.error('Failed to mute tab:', error);
+        });
+      });
+
+      controls.appendChild(slider);
+      controls.appendChild(value);
+      controls.appendChild(muteButton);
+
+      row.appendChild(info);
+      row.appendChild(controls);
+      mixerList.appendChild(row);
+    });
+  }
+
+  // Send a mixer volume change (debounced per tab)
+  function sendMixerVolumeChange(tab, volume) {
+    if (mixerVolumeTimers[tab.id]) {
+      clearTimeout(mixerVolumeTimers[tab.id]);
+    }
+    mixerVolumeTimers[tab.id] = setTimeout(() => {
+      delete mixerVolumeTimers[tab.id];
+      setTabVolume(tab.id, tab.url, volume);
+    }, 50);
+
+    // Keep the main slider in sync when the row is the current tab
+    if (tab.id === currentTabId) {
+      requestedVolume = volume;
+      volumeSlider.value = volume;
+      updateVolumeDisplay(volume);
+    }
+  }
+
+  // Load mixer when the panel is opened
+  mixerPanel.addEventListener('toggle', function() {
+    if (this.open) {
+      loadMixer();
+    }
+  });
+
+  refreshMixerButton.addEventListener('click', loadMixer);
+
+  // Convert a linear level to a 0-1 meter position on a dB scale
+  function levelToMeterPosition(level) {
+    if (level <= 0) return 0;
+    const db = 20 * Math.log10(level);
+    return Math.max(0, Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB));
+  }
+
+  // Format a linear level as dBFS
+  function formatDecibels(level) {
+    if (level <= 0) return '-∞ dB';
+    return `${(20 * Math.log10(level)).toFixed(1)} dB`;
+  }
+
+  // Combine the latest levels of every frame that is still reporting
+  function getCombinedLevels(now) {
+    const combined = {channels: [{rms: 0, peak: 0}, {rms: 0, peak: 0}], clipped: false};
+
+    Object.keys(meterFrameLevels).forEach(frame => {
+      const entry = meterFrameLevels[frame];
+      if (now - entry.time > METER_STALE_MS) {
+        delete meterFrameLevels[frame];
+        return;
+      }
+      [entry.left, entry.right].forEach((levels, channel) => {
+        combined.channels[channel].rms = Math.max(combined.channels[channel].rms, levels.rms);
+        combined.channels[channel].peak = Math.max(combined.channels[channel].peak, levels.peak);
+      });
+      combined.clipped = combined.clipped || entry.clipped;
+    });
+    return combined;
+  }
+
+  // Draw the meter once per animation frame
+  function renderLevelMeter() {
+    const now = Date.now();
+    const levels = getCombinedLevels(now);
+
+    levels.channels.forEach((channel, index) => {
+      // Clip rather than resize the fill so the colour gradient stays anchored to the scale
+      meterFills[index].style.clipPath = `inset(0 ${100 - levelToMeterPosition(channel.rms) * 100}% 0 0)`;
+
+      const hold = meterPeakHold[index];
+      if (channel.peak >= hold.value || now - hold.time > METER_PEAK_HOLD_MS) {
+        hold.value = channel.peak;
+        hold.time = now;
+      }
+      meterPeaks[index].style.left = `calc(${levelToMeterPosition(hold.value) * 100}% - 2px)`;
+    });
+
+    if (levels.clipped) {
+      meterClipTime = now;
+    }
+    clipIndicator.classList.toggle('active', now - meterClipTime < METER_CLIP_HOLD_MS);
+    meterReadout.textContent = `Peak ${formatDecibels(Math.max(meterPeakHold[0].value, meterPeakHold[1].value))}`;
+
+    meterAnimationFrame = requestAnimationFrame(renderLevelMeter);
+  }
+
+  // Open a port to the tab's content scripts and start drawing
+  function startLevelMeter() {
+    if (!currentTabId || meterPort) return;
+
+    meterFrameLevels = {};
+    meterPort = chrome.tabs.connect(currentTabId, {name: 'level-meter'});
+    meterPort.onMessage.addListener(function(message) {
+      meterFrameLevels[message.frame] = {...message, time: Date.now()};
+    });
+    meterPort.onDisconnect.addListener(function() {
+      meterPort = null;
+    });
+
+    if (!meterAnimationFrame) {
+      meterAnimationFrame = requestAnimationFrame(renderLevelMeter);
+    }
+  }
+
+  // Stop streaming levels
+  function stopLevelMeter() {
+    if (meterPort) {
+      meterPort.disconnect();
+      meterPort = null;
+    }
+    if (meterAnimationFrame) {
+      cancelAnimationFrame(meterAnimationFrame);
+      meterAnimationFrame = null;
+    }
+  }
+
+  // Only stream levels while the panel is open
+  meterPanel.addEventListener('toggle', function() {
+    if (this.open) {
+      startLevelMeter();
+    } else {
+      stopLevelMeter();
+    }
+  });
+
+  // Format remaining milliseconds as h:mm:ss or m:ss
+  function formatCountdown(milliseconds) {
+    const totalSeconds = Math.max(0, Math.ceil(milliseconds / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const paddedSeconds = seconds.toString().padStart(2, '0');
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${paddedSeconds}`;
+    }
+    return `${minutes}:${paddedSeconds}`;
+  }
+
+  // Show either the setup controls or the running countdown
+  function updateSleepTimerDisplay() {
+    if (sleepCountdownInterval) {
+      clearInterval(sleepCountdownInterval);
+      sleepCountdownInterval = null;
+    }
+
+    const running = Boolean(sleepTimer) && sleepTimer.endTime > Date.now();
+    sleepSetup.hidden = running;
+    sleepRunning.hidden = !running;
+    if (!running) return;
+
+    const tick = () => {
+      const remaining = sleepTimer.endTime - Date.now();
+      sleepCountdown.textContent = formatCountdown(remaining);
+      if (remaining <= 0) {
+        sleepTimer = null;
+        updateSleepTimerDisplay();
+      }
+    };
+    tick();
+    sleepCountdownInterval = setInterval(tick, 1000);
+  }
+
+  // Load the current tab's sleep timer from the background worker
+  function loadSleepTimer() {
+    chrome.runtime.sendMessage({
+      action: 'getSleepTimer',
+      tabId: currentTabId
+    }).then(response => {
+      sleepTimer = response && response.success ? response.timer : null;
+      updateSleepTimerDisplay();
+    }).catch(error => {
+      console.error('Failed to load sleep timer:', error);
+    });
+  }
+
+  // Start a sleep timer for the current tab
+  function startSleepTimer(minutes) {
+    if (!currentTabId) return;
+
+    const fadeSeconds = parseInt(sleepFadeInput.value);
+    chrome.runtime.sendMessage({
+      action: 'startSleepTimer',
+      tabId: currentTabId,
+      minutes: minutes,
+      fadeSeconds: isNaN(fadeSeconds) ? 30 : fadeSeconds
+    }).then(response => {
+      if (!response || !response.success) {
+        console.error('Failed to start sleep timer:', response && response.error);
+        return;
+      }
+      sleepTimer = response.timer;
+      updateSleepTimerDisplay();
+    }).catch(error => {
+      console.error('Failed to start sleep timer:', error);
+    });
+  }
+
+  sleepPresetButtons.forEach(button => {
+    button.addEventListener('click', function() {
+      startSleepTimer(parseInt(this.dataset.sleepMinutes));
+    });
+  });
+
+  sleepStartButton.addEventListener('click', function() {
+    const minutes = parseInt(sleepMinutesInput.value);
+    if (isNaN(minutes) || minutes < 1 || minutes > 1440) {
+      sleepMinutesInput.value = 45;
+      return;
+    }
+    startSleepTimer(minutes);
+  });
+
+  sleepCancelButton.addEventListener('click', function() {
+    chrome.runtime.sendMessage({
+      action: 'cancelSleepTimer',
+      tabId: currentTabId
+    }).then(() => {
+      sleepTimer = null;
+      updateSleepTimerDisplay();
+    }).catch(error => {
+      console.error('Failed to cancel sleep timer:', error);
+    });
+  });
+
+  createEqualizerSliders();
+  loadPresets();
+  loadShortcutStep();
+  loadDefaultVolume();
+});
@@ -0,0 +1,79 @@
+// Volume controller presets
+// Shared by the background worker, popup and options page. The popup's quick buttons
+// (and the context menu) are rendered from user-defined presets stored under one key.
+//
+// Preset: {id, label, volume, eq?, speed?}
+//   volume - percent, 0-500
+//   eq     - optional equalizer preset name (key of EQ_PRESETS) applied with the volume
+//   speed  - optional playback rate, 0.25-4
+(function(global) {
+  'use strict';
+
+  const PRESETS_KEY = 'volume_presets';
+  const MAX_PRESETS = 8;
+
+  // Equalizer presets, gains per band must match EQ_FREQUENCIES in content.js
+  const EQ_PRESETS = {
+    flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    bass_boost: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    voice: [-4, -3, -1, 1, 3, 4, 4, 2, 0, -2],
+    treble_cut: [0, 0, 0, 0, 0, -1, -3, -5, -7, -9]
+  };
+  const EQ_PRESET_LABELS = {flat: 'Flat', bass_boost: 'Bass boost', voice: 'Voice', treble_cut: 'Treble cut'};
+
+  // Mute and solo have their own buttons, presets only set levels
+  const DEFAULT_PRESETS = [
+    {id: 'half', label: '50%', volume: 50},
+    {id: 'normal', label: '100%', volume: 100},
+    {id: 'max', label: 'Max', volume: 500}
+  ];
+
+  // Clean up a stored or edited preset, returning null when it can't be used
+  function normalize(preset) {
+    if (!preset || typeof preset.label !== 'string' || preset.label.trim() === '') return null;
+
+    const volume = parseInt(preset.volume);
+    if (isNaN(volume)) return null;
+
+    const normalized = {
+      id: preset.id || VolumeRules.createId(),
+      label: preset.label.trim().slice(0, 12),
+      volume: Math.max(0, Math.min(500, volume))
+    };
+    if (preset.eq && EQ_PRESETS[preset.eq]) {
+      normalized.eq = preset.eq;
+    }
+    const speed = parseFloat(preset.speed);
+    if (!isNaN(speed)) {
+      normalized.speed = Math.max(0.25, Math.min(4, Math.round(speed * 100) / 100));
+    }
+    return normalized;
+  }
+
+  // Load presets in display order; defaults until the user saves their own
+  async function load() {
+    const result = await chrome.storage.local.get([PRESETS_KEY]);
+    if (!Array.isArray(result[PRESETS_KEY])) {
+      return DEFAULT_PRESETS.map(preset => ({...preset}));
+    }
+    return result[PRESETS_KEY].map(normalize).filter(Boolean);
+  }
+
+  // Replace all presets
+  function save(presets) {
+    return chrome.storage.local.set({
+      [PRESETS_KEY]: presets.map(normalize).filter(Boolean).slice(0, MAX_PRESETS)
+    });
+  }
+
+  global.VolumePresets = {
+    PRESETS_KEY,
+    MAX_PRESETS,
+    EQ_PRESETS,
+    EQ_PRESET_LABELS,
+    DEFAULT_PRESETS,
+    normalize,
+    load,
+    save
+  };
+})(globalThis);
@@ -0,0 +1,354 @@
+// Volume controller site rules
+// Shared by the background worker, content script and popup. Per-site volume and
+// disabled state are stored as URL-pattern rules under one storage key instead of
+// one `volume_url_<hostname>` / `disabled_<hostname>` key per site.
+//
+// Volume is resolved from a per-tab override (session only), then the site rule, then the
+// global default volume.
+//
+// Rule: {id, type, pattern, volume?, disabled?, stereo?, speed?, voice?, duck?, modified}
+//   type 'domain' - hostname, '*.example.com' also matches example.com and its subdomains
+//   type 'path'   - hostname (wildcards allowed) plus path prefix, e.g. 'youtube.com/watch'
+//   type 'exact'  - full page URL without the hash
+//   type 'regex'  - regular expression tested against the full URL
+(function(global) {
+  'use strict';
+
+  const RULES_KEY = 'volume_rules';
+  const RULE_TYPES = ['domain', 'path', 'exact', 'regex'];
+
+  // Settings a rule can carry, resolved independently of each other
+  const RULE_FIELDS = ['volume', 'disabled', 'stereo', 'speed', 'voice', 'duck'];
+
+  // Other per-site settings stay keyed by hostname, e.g. `eq_url_<hostname>`
+  const SITE_SETTING_PREFIXES = ['eq_url_', 'limiter_url_', 'autolevel_url_'];
+
+  // Volume for sites without a rule, and per-tab volumes that aren't remembered
+  const DEFAULT_VOLUME_KEY = 'default_volume';
+  const TAB_OVERRIDE_PREFIX = 'tab_volume_'; // chrome.storage.session: {volume, hostname}
+
+  // Sync switch and status, read by the options page; all sync bookkeeping keys share the prefix
+  const SYNC_KEY_PREFIX = 'sync_';
+  const SYNC_ENABLED_KEY = 'sync_enabled';
+  const SYNC_STATUS_KEY = 'sync_status';
+
+  // More specific types win over broader ones
+  const TYPE_RANK = {exact: 4, path: 3, regex: 2, domain: 1};
+
+  // Parse a URL, returning null for invalid input
+  function parseUrl(url) {
+    try {
+      return new URL(url);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Match a hostname against a domain pattern ('example.com' or '*.example.com')
+  function matchesHostname(pattern, hostname) {
+    pattern = pattern.toLowerCase();
+    hostname = hostname.toLowerCase();
+
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      return hostname === base || hostname.endsWith(`.${base}`);
+    }
+    return hostname === pattern;
+  }
+
+  // Check whether a rule applies to a URL
+  function matches(rule, url) {
+    const urlObj = parseUrl(url);
+    if (!urlObj || !rule || typeof rule.pattern !== 'string') return false;
+
+    switch (rule.type) {
+      case 'domain':
+        return matchesHostname(rule.pattern, urlObj.hostname);
+      case 'path': {
+        const slash = rule.pattern.indexOf('/');
+        const hostPattern = slash === -1 ? rule.pattern : rule.pattern.slice(0, slash);
+        const pathPrefix = slash === -1 ? '/' : rule.pattern.slice(slash);
+        return matchesHostname(hostPattern, urlObj.hostname) && urlObj.pathname.startsWith(pathPrefix);
+      }
+      case 'exact':
+        return stripHash(urlObj) === rule.pattern;
+      case 'regex':
+        try {
+          return new RegExp(rule.pattern).test(urlObj.href);
+        } catch (error) {
+          console.warn('Invalid rule regex:', rule.pattern);
+          return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  // Full URL without the hash
+  function stripHash(urlObj) {
+    return urlObj.origin + urlObj.pathname + urlObj.search;
+  }
+
+  // Sort comparator: highest precedence first
+  // (type rank, then longer/more specific pattern, then most recently modified)
+  function compareRules(a, b) {
+    const rankDiff = (TYPE_RANK[b.type] || 0) - (TYPE_RANK[a.type] || 0);
+    if (rankDiff !== 0) return rankDiff;
+
+    const wildcardDiff = Number(a.pattern.startsWith('*')) - Number(b.pattern.startsWith('*'));
+    if (wildcardDiff !== 0) return wildcardDiff;
+
+    const lengthDiff = b.pattern.length - a.pattern.length;
+    if (lengthDiff !== 0) return lengthDiff;
+
+    return (b.modified || 0) - (a.modified || 0);
+  }
+
+  // Resolve every rule field for a URL, each from the highest precedence rule that sets it.
+  // Returns {volume, volumeRule, disabled, disabledRule, ...}; unset fields are undefined
+  // (disabled defaults to false) and their `<field>Rule` is null.
+  function resolve(rules, url) {
+    const matching = (rules || []).filter(rule => matches(rule, url)).sort(compareRules);
+    const resolved = {};
+
+    RULE_FIELDS.forEach(field => {
+      const rule = matching.find(candidate => candidate[field] !== undefined) || null;
+      resolved[field] = rule ? rule[field] : undefined;
+      resolved[`${field}Rule`] = rule;
+    });
+
+    if (resolved.disabled === undefined) {
+      resolved.disabled = false;
+    }
+    return resolved;
+  }
+
+  // Check a pattern is usable for the given rule type
+  function isValidPattern(type, pattern) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') return false;
+
+    switch (type) {
+      case 'domain':
+        return !/[\s/]/.test(pattern);
+      case 'path':
+        return !/\s/.test(pattern) && !pattern.includes('://');
+      case 'exact':
+        return parseUrl(pattern) !== null;
+      case 'regex':
+        try {
+          new RegExp(pattern);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  // Pattern for saving a setting for "this domain", "this path" or "this exact page"
+  function scopePattern(url, type) {
+    const urlObj = parseUrl(url);
+    if (!urlObj) return null;
+
+    switch (type) {
+      case 'domain':
+        return urlObj.hostname || 'unknown';
+      case 'path':
+        return (urlObj.hostname || 'unknown') + urlObj.pathname;
+      case 'exact':
+        return stripHash(urlObj);
+      default:
+        return null;
+    }
+  }
+
+  // Load all rules
+  async function load() {
+    const result = await chrome.storage.local.get([RULES_KEY]);
+    return Array.isArray(result[RULES_KEY]) ? result[RULES_KEY] : [];
+  }
+
+  // Replace all rules
+  function save(rules) {
+    return chrome.storage.local.set({[RULES_KEY]: rules});
+  }
+
+  // Resolve settings for a URL from storage
+  async function getSettingsForUrl(url) {
+    return resolve(await load(), url);
+  }
+
+  // Create an id for a new rule
+  function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Create or update the rule with the given type and pattern, merging in values
+  async function upsert(type, pattern, values) {
+    if (!RULE_TYPES.includes(type) || !pattern) {
+      throw new Error(`Invalid rule: ${type} ${pattern}`);
+    }
+
+    const rules = await load();
+    let rule = rules.find(existing => existing.type === type && existing.pattern === pattern);
+    if (!rule) {
+      rule = {id: createId(), type: type, pattern: pattern};
+      rules.push(rule);
+    }
+    Object.assign(rule, values, {modified: Date.now()});
+
+    await save(rules);
+    return rule;
+  }
+
+  // Save values for a URL at the given scope ('domain', 'path' or 'exact')
+  function saveForUrl(url, scope, values) {
+    return upsert(scope, scopePattern(url, scope), values);
+  }
+
+  // Scope settings for a URL are saved at by default: the scope of the rule that provides its
+  // volume, else the domain. The popup's "Save for" selector starts at the same scope.
+  function getSaveScope(settings) {
+    const rule = settings.volumeRule;
+    return rule && ['domain', 'path', 'exact'].includes(rule.type) ? rule.type : 'domain';
+  }
+
+  // Save values for a URL at the given scope, or at its default scope without one
+  async function saveForScope(url, values, scope) {
+    return saveForUrl(url, scope || getSaveScope(await getSettingsForUrl(url)), values);
+  }
+
+  // Save values to the rule that currently provides `field` (one of RULE_FIELDS) for a URL,
+  // falling back to a domain rule when none matches
+  async function saveForMatchingRule(url, field, values) {
+    const rules = await load();
+    const resolved = resolve(rules, url);
+    const rule = resolved[`${field}Rule`];
+    if (!rule) {
+      return saveForUrl(url, 'domain', values);
+    }
+    return upsert(rule.type, rule.pattern, values);
+  }
+
+  // Delete a rule by id
+  async function remove(id) {
+    const rules = await load();
+    await save(rules.filter(rule => rule.id !== id));
+  }
+
+  // Global default volume (percent) for pages without a volume rule
+  async function getDefaultVolume() {
+    const result = await chrome.storage.local.get([DEFAULT_VOLUME_KEY]);
+    const volume = parseInt(result[DEFAULT_VOLUME_KEY]);
+    return isNaN(volume) ? 100 : Math.max(0, Math.min(500, volume));
+  }
+
+  // Hostname a tab override belongs to
+  function overrideHostname(url) {
+    const urlObj = parseUrl(url);
+    return urlObj ? urlObj.hostname : null;
+  }
+
+  // Temporary volume for a tab, or null. Only available where chrome.storage.session is
+  // (background and extension pages); overrides end when the tab leaves the site.
+  async function getTabOverride(tabId, url) {
+    const key = `${TAB_OVERRIDE_PREFIX}${tabId}`;
+    const result = await chrome.storage.session.get([key]);
+    const override = result[key];
+    if (!override || override.hostname !== overrideHostname(url)) return null;
+    return override;
+  }
+
+  // Set a tab's temporary volume (percent) without touching site rules
+  function setTabOverride(tabId, url, volume) {
+    return chrome.storage.session.set({
+      [`${TAB_OVERRIDE_PREFIX}${tabId}`]: {volume: volume, hostname: overrideHostname(url)}
+    });
+  }
+
+  function clearTabOverride(tabId) {
+    return chrome.storage.session.remove(`${TAB_OVERRIDE_PREFIX}${tabId}`);
+  }
+
+  // Pick the volume from the most specific level: tab override, site rule, global default.
+  // Returns {volume, source: 'tab' | 'site' | 'default', rule}
+  function resolveVolume(settings, override, defaultVolume) {
+    if (override) {
+      return {volume: override.volume, source: 'tab', rule: null};
+    }
+    if (settings.volume !== undefined) {
+      return {volume: settings.volume, source: 'site', rule: settings.volumeRule};
+    }
+    return {volume: defaultVolume, source: 'default', rule: null};
+  }
+
+  // Move legacy `volume_url_<hostname>` and `disabled_<hostname>` keys into domain rules
+  async function migrateLegacyKeys() {
+    const items = await chrome.storage.local.get(null);
+    const legacyKeys = Object.keys(items).filter(key => {
+      return key.startsWith('volume_url_') || key.startsWith('disabled_');
+    });
+    if (legacyKeys.length === 0) return 0;
+
+    const rules = Array.isArray(items[RULES_KEY]) ? items[RULES_KEY] : [];
+    const now = Date.now();
+
+    legacyKeys.forEach(key => {
+      const isVolume = key.startsWith('volume_url_');
+      const hostname = key.slice(isVolume ? 'volume_url_'.length : 'disabled_'.length);
+
+      let rule = rules.find(existing => existing.type === 'domain' && existing.pattern === hostname);
+      if (!rule) {
+        rule = {id: createId(), type: 'domain', pattern: hostname, modified: now};
+        rules.push(rule);
+      }
+
+      // Rules written after the upgrade take priority over legacy values
+      if (isVolume && rule.volume === undefined) {
+        rule.volume = items[key];
+      } else if (!isVolume && rule.disabled === undefined) {
+        rule.disabled = Boolean(items[key]);
+      }
+    });
+
+    await save(rules);
+    await chrome.storage.local.remove(legacyKeys);
+    console.log(`Migrated ${legacyKeys.length} legacy site settings into rules`);
+    return legacyKeys.length;
+  }
+
+  global.VolumeRules = {
+    RULES_KEY,
+    RULE_TYPES,
+    RULE_FIELDS,
+    SITE_SETTING_PREFIXES,
+    DEFAULT_VOLUME_KEY,
+    TAB_OVERRIDE_PREFIX,
+    SYNC_KEY_PREFIX,
+    SYNC_ENABLED_KEY,
+    SYNC_STATUS_KEY,
+    createId,
+    matches,
+    compareRules,
+    resolve,
+    isValidPattern,
+    scopePattern,
+    load,
+    save,
+    getSettingsForUrl,
+    upsert,
+    saveForUrl,
+    getSaveScope,
+    saveForScope,
+    saveForMatchingRule,
+    remove,
+    getDefaultVolume,
+    getTabOverride,
+    setTabOverride,
+    clearTabOverride,
+    resolveVolume,
+    migrateLegacyKeys
+  };
+})(globalThis);
@@ -0,0 +1,159 @@
+// Volume controller quiet hours
+// Shared by the background worker, content script, popup and options page. Scheduled rules
+// cap or set the volume during time windows on chosen weekdays, for all sites or a list of
+// domain patterns. They limit the resolved volume without changing saved site rules.
+//
+// Schedule: {id, enabled, start, end, days, mode, volume, sites}
+//   start / end - 'HH:MM' local time; an end at or before the start runs past midnight
+//   days        - weekdays the window starts on, 0 (Sunday) to 6
+//   mode        - 'cap' limits louder volumes, 'set' replaces the volume
+//   volume      - percent, 0-500
+//   sites       - domain patterns ('example.com', '*.example.com'), empty for all sites
+(function(global) {
+  'use strict';
+
+  const SCHEDULES_KEY = 'volume_schedules';
+  const MODES = ['cap', 'set'];
+  const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+  const DAY_MINUTES = 24 * 60;
+
+  // Minutes after midnight for 'HH:MM', or null
+  function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time.trim() : '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+
+  // 'HH:MM' for minutes after midnight
+  function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  // Clean up a stored or edited schedule, returning null when it can't be used
+  function normalize(schedule) {
+    if (!schedule) return null;
+
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const volume = parseInt(schedule.volume);
+    if (start === null || end === null || isNaN(volume)) return null;
+
+    const days = Array.isArray(schedule.days) ? schedule.days : ALL_DAYS;
+    const sites = Array.isArray(schedule.sites) ? schedule.sites : [];
+
+    return {
+      id: schedule.id || VolumeRules.createId(),
+      enabled: schedule.enabled !== false,
+      start: formatTime(start),
+      end: formatTime(end),
+      days: ALL_DAYS.filter(day => days.includes(day)),
+      mode: MODES.includes(schedule.mode) ? schedule.mode : 'cap',
+      volume: Math.max(0, Math.min(500, volume)),
+      sites: sites.map(site => String(site).trim().toLowerCase()).filter(site => site && !/[\s/]/.test(site))
+    };
+  }
+
+  // Load all schedules
+  async function load() {
+    const result = await chrome.storage.local.get([SCHEDULES_KEY]);
+    return Array.isArray(result[SCHEDULES_KEY]) ? result[SCHEDULES_KEY].map(normalize).filter(Boolean) : [];
+  }
+
+  // Replace all schedules
+  function save(schedules) {
+    return chrome.storage.local.set({[SCHEDULES_KEY]: schedules.map(normalize).filter(Boolean)});
+  }
+
+  // Start and end of each window of a schedule that starts on the days around a date,
+  // from the day before (windows past midnight) to a week ahead
+  function getWindows(schedule, date) {
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const duration = end > start ? end - start : end - start + DAY_MINUTES;
+    const windows = [];
+
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+      if (!schedule.days.includes(day.getDay())) continue;
+
+      const windowStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start);
+      const windowEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start + duration);
+      windows.push({start: windowStart, end: windowEnd});
+    }
+    return windows;
+  }
+
+  // Window of a schedule that contains a date, or null
+  function getCurrentWindow(schedule, date) {
+    if (!schedule.enabled) return null;
+    return getWindows(schedule, date).find(window => window.start <= date && date < window.end) || null;
+  }
+
+  // Check whether a schedule applies to a URL
+  function appliesTo(schedule, url) {
+    if (schedule.sites.length === 0) return true;
+    return schedule.sites.some(pattern => VolumeRules.matches({type: 'domain', pattern: pattern}, url));
+  }
+
+  // Schedules in effect for a URL at a date, each with the end of its current window.
+  // Returns [{schedule, until}]
+  function getActive(schedules, url, date) {
+    return (schedules || []).filter(schedule => appliesTo(schedule, url)).map(schedule => {
+      const window = getCurrentWindow(schedule, date);
+      return window ? {schedule: schedule, until: window.end} : null;
+    }).filter(Boolean);
+  }
+
+  // Volume (percent) after active schedules: the quietest 'set' replaces it, then the
+  // lowest 'cap' limits it
+  function applyLimit(volume, active) {
+    const setVolumes = active.filter(entry => entry.schedule.mode === 'set').map(entry => entry.schedule.volume);
+    const caps = active.filter(entry => entry.schedule.mode === 'cap').map(entry => entry.schedule.volume);
+
+    let limited = setVolumes.length > 0 ? Math.min(...setVolumes) : volume;
+    if (caps.length > 0) {
+      limited = Math.min(limited, ...caps);
+    }
+    return limited;
+  }
+
+  // Next time any schedule starts or ends after a date, or null
+  function getNextChange(schedules, date) {
+    let next = null;
+    (schedules || []).filter(schedule => schedule.enabled).forEach(schedule => {
+      getWindows(schedule, date).forEach(window => {
+        [window.start, window.end].forEach(time => {
+          if (time > date && (!next || time < next)) {
+            next = time;
+          }
+        });
+      });
+    });
+    return next;
+  }
+
+  // Resolve a volume (percent) for a URL under the stored schedules.
+  // Returns {volume, active}
+  async function limitVolume(url, volume, date = new Date()) {
+    const active = getActive(await load(), url, date);
+    return {volume: applyLimit(volume, active), active: active};
+  }
+
+  global.VolumeSchedules = {
+    SCHEDULES_KEY,
+    MODES,
+    ALL_DAYS,
+    parseTime,
+    normalize,
+    load,
+    save,
+    getActive,
+    applyLimit,
+    getNextChange,
+    limitVolume
+  };
+})(globalThis);
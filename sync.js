@@ -0,0 +1,395 @@
+// Volume controller settings sync
+// Loaded by the background worker. When enabled (`sync_enabled`), site rules and
+// hostname-keyed site settings are mirrored to chrome.storage.sync so they follow
+// the user between machines.
+//
+// Sync items, one per setting so each stays under the per-item quota:
+//   `rule|<type>|<pattern>` -> {m, f: {volume, disabled, ...}}  (site rule fields)
+//   `site|<storage key>`    -> {m, v}                           (e.g. `eq_url_<hostname>`)
+// Deleted settings are kept as tombstones {m, x: 1} so they don't come back.
+// Conflicts are resolved per item by the last-modified time `m`.
+(function(global) {
+  'use strict';
+
+  const ENABLED_KEY = VolumeRules.SYNC_ENABLED_KEY;
+  const META_KEY = 'sync_meta'; // Local: sync key -> {m, h, x} for hostname settings and tombstones
+  const LAST_USED_KEY = 'sync_last_used'; // Local: hostname -> last visit time
+  const STATUS_KEY = VolumeRules.SYNC_STATUS_KEY; // Local: result of the last sync for the options page
+
+  const TOMBSTONE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const LAST_USED_RESOLUTION = 60 * 60 * 1000; // Record visits at most hourly per site
+  const QUOTA_MARGIN = 0.9; // Leave headroom below the byte quota
+  const RESERVED_ITEMS = 16; // Leave headroom below the item quota
+  const PUSH_DELAY = 2000; // ms to batch local changes into one sync write
+
+  let pushTimer = null;
+  let isSyncing = false;
+  let syncAgain = false;
+
+  // Sync key for a rule
+  function ruleKey(rule) {
+    return `rule|${rule.type}|${rule.pattern}`;
+  }
+
+  // Rule fields worth syncing (everything except local bookkeeping)
+  function ruleFields(rule) {
+    const fields = {};
+    VolumeRules.RULE_FIELDS.forEach(field => {
+      if (rule[field] !== undefined) fields[field] = rule[field];
+    });
+    return fields;
+  }
+
+  // Whether a local storage key holds a hostname-keyed site setting
+  function isSiteSettingKey(key) {
+    return VolumeRules.SITE_SETTING_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  // Hostname a sync key belongs to, used to find how recently the site was visited
+  function hostnameOfSyncKey(key) {
+    if (key.startsWith('rule|')) {
+      const [, type, pattern] = key.split('|');
+      if (type === 'domain') return pattern.replace(/^\*\./, '');
+      if (type === 'path') return pattern.split('/')[0].replace(/^\*\./, '');
+      if (type === 'exact') {
+        try {
+          return new URL(pattern).hostname;
+        } catch (error) {
+          return null;
+        }
+      }
+      return null;
+    }
+
+    const storageKey = key.slice('site|'.length);
+    const prefix = VolumeRules.SITE_SETTING_PREFIXES.find(p => storageKey.startsWith(p));
+    return prefix ? storageKey.slice(prefix.length) : null;
+  }
+
+  // Bytes an item counts against the sync quota
+  function itemSize(key, value) {
+    return key.length + JSON.stringify(value).length;
+  }
+
+  // Whether sync is turned on
+  async function isEnabled() {
+    const result = await chrome.storage.local.get([ENABLED_KEY]);
+    return Boolean(result[ENABLED_KEY]);
+  }
+
+  // Turn sync on or off; turning it on syncs right away
+  async function setEnabled(enabled) {
+    await chrome.storage.local.set({[ENABLED_KEY]: Boolean(enabled)});
+    if (enabled) {
+      return synchronize();
+    }
+    return null;
+  }
+
+  // Build the local side as sync items
+  function buildLocalItems(local, meta) {
+    const items = {};
+    const rules = Array.isArray(local[VolumeRules.RULES_KEY]) ? local[VolumeRules.RULES_KEY] : [];
+
+    rules.forEach(rule => {
+      items[ruleKey(rule)] = {m: rule.modified || 0, f: ruleFields(rule)};
+    });
+
+    Object.keys(local).filter(isSiteSettingKey).forEach(storageKey => {
+      const key = `site|${storageKey}`;
+      items[key] = {m: meta[key] ? meta[key].m : 0, v: local[storageKey]};
+    });
+
+    // Tombstones for deleted settings
+    Object.keys(meta).forEach(key => {
+      if (meta[key].x && !items[key]) {
+        items[key] = {m: meta[key].m, x: 1};
+      }
+    });
+    return items;
+  }
+
+  // Drop items from the sync set until it fits the quota; least recently used sites go first
+  function pruneToQuota(items, lastUsed) {
+    const maxBytes = Math.floor(chrome.storage.sync.QUOTA_BYTES * QUOTA_MARGIN);
+    const maxItems = chrome.storage.sync.MAX_ITEMS - RESERVED_ITEMS;
+    const maxItemBytes = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+    const pruned = [];
+
+    // Oversized items can never be stored
+    Object.keys(items).forEach(key => {
+      if (itemSize(key, items[key]) > maxItemBytes) {
+        delete items[key];
+        pruned.push(key);
+      }
+    });
+
+    const recency = key => {
+      const hostname = hostnameOfSyncKey(key);
+      return Math.max(items[key].m || 0, (hostname && lastUsed[hostname]) || 0);
+    };
+
+    // Tombstones go before live settings, then oldest first
+    const candidates = Object.keys(items).sort((a, b) => {
+      const tombstoneDiff = Number(Boolean(items[b].x)) - Number(Boolean(items[a].x));
+      return tombstoneDiff !== 0 ? tombstoneDiff : recency(a) - recency(b);
+    });
+
+    let totalBytes = Object.keys(items).reduce((sum, key) => sum + itemSize(key, items[key]), 0);
+    let totalItems = Object.keys(items).length;
+
+    for (const key of candidates) {
+      if (totalBytes <= maxBytes && totalItems <= maxItems) break;
+      totalBytes -= itemSize(key, items[key]);
+      totalItems--;
+      delete items[key];
+      pruned.push(key);
+    }
+    return pruned;
+  }
+
+  // Two-way merge of local settings and chrome.storage.sync, newest item wins
+  async function synchronize() {
+    if (!(await isEnabled())) return null;
+
+    // Changes arriving while a sync is running are picked up by one more pass
+    if (isSyncing) {
+      syncAgain = true;
+      return null;
+    }
+    isSyncing = true;
+
+    try {
+      const local = await chrome.storage.local.get(null);
+      const remote = await chrome.storage.sync.get(null);
+      const meta = {...(local[META_KEY] || {})};
+      const lastUsed = local[LAST_USED_KEY] || {};
+      const now = Date.now();
+
+      const localItems = buildLocalItems(local, meta);
+      const merged = {};
+      const localChanges = {}; // sync key -> winning remote item
+
+      new Set([...Object.keys(localItems), ...Object.keys(remote)]).forEach(key => {
+        if (!key.startsWith('rule|') && !key.startsWith('site|')) return;
+
+        const localItem = localItems[key];
+        const remoteItem = remote[key];
+        if (remoteItem && (!localItem || remoteItem.m > localItem.m)) {
+          merged[key] = remoteItem;
+          localChanges[key] = remoteItem;
+        } else {
+          merged[key] = localItem;
+        }
+      });
+
+      // Forget old tombstones everywhere
+      Object.keys(merged).forEach(key => {
+        if (merged[key].x && now - merged[key].m > TOMBSTONE_MAX_AGE) {
+          delete merged[key];
+          delete localChanges[key];
+          delete meta[key];
+        }
+      });
+
+      await applyRemoteChanges(local, meta, localChanges);
+
+      const syncItems = {...merged};
+      const pruned = pruneToQuota(syncItems, lastUsed);
+
+      // Write only what changed, in one operation each to respect the write quota
+      const toSet = {};
+      Object.keys(syncItems).forEach(key => {
+        if (!remote[key] || JSON.stringify(remote[key]) !== JSON.stringify(syncItems[key])) {
+          toSet[key] = syncItems[key];
+        }
+      });
+      const toRemove = Object.keys(remote).filter(key => {
+        return (key.startsWith('rule|') || key.startsWith('site|')) && !syncItems[key];
+      });
+
+      if (Object.keys(toSet).length > 0) {
+        await chrome.storage.sync.set(toSet);
+      }
+      if (toRemove.length > 0) {
+        await chrome.storage.sync.remove(toRemove);
+      }
+
+      const status = {
+        time: now,
+        synced: Object.keys(syncItems).filter(key => !syncItems[key].x).length,
+        pruned: pruned.length,
+        error: null
+      };
+      await chrome.storage.local.set({[META_KEY]: meta, [STATUS_KEY]: status});
+      console.log('Settings synced:', status);
+      return status;
+    } catch (error) {
+      console.error('Settings sync failed:', error);
+      await chrome.storage.local.set({[STATUS_KEY]: {time: Date.now(), error: error.message}});
+      throw error;
+    } finally {
+      isSyncing = false;
+      if (syncAgain) {
+        syncAgain = false;
+        schedulePush();
+      }
+    }
+  }
+
+  // Write remote winners into local storage
+  async function applyRemoteChanges(local, meta, changes) {
+    const keys = Object.keys(changes);
+    if (keys.length === 0) return;
+
+    const rules = Array.isArray(local[VolumeRules.RULES_KEY]) ? [...local[VolumeRules.RULES_KEY]] : [];
+    let rulesChanged = false;
+    const toSet = {};
+    const toRemove = [];
+
+    keys.forEach(key => {
+      const item = changes[key];
+
+      if (key.startsWith('rule|')) {
+        const [, type, ...patternParts] = key.split('|');
+        const pattern = patternParts.join('|'); // Regex patterns may contain '|'
+        const index = rules.findIndex(rule => rule.type === type && rule.pattern === pattern);
+
+        if (item.x) {
+          if (index !== -1) rules.splice(index, 1);
+          meta[key] = {m: item.m, x: 1};
+        } else {
+          const id = index !== -1 ? rules[index].id : VolumeRules.createId();
+          const rule = {id: id, type: type, pattern: pattern, ...item.f, modified: item.m};
+          if (index !== -1) {
+            rules[index] = rule;
+          } else {
+            rules.push(rule);
+          }
+          delete meta[key];
+        }
+        rulesChanged = true;
+      } else {
+        const storageKey = key.slice('site|'.length);
+        if (item.x) {
+          toRemove.push(storageKey);
+          meta[key] = {m: item.m, x: 1};
+        } else {
+          toSet[storageKey] = item.v;
+          meta[key] = {m: item.m, h: JSON.stringify(item.v)};
+        }
+      }
+    });
+
+    // Meta first, so the storage change listener recognizes these writes as ours
+    await chrome.storage.local.set({[META_KEY]: meta});
+    if (rulesChanged) {
+      toSet[VolumeRules.RULES_KEY] = rules;
+    }
+    if (Object.keys(toSet).length > 0) {
+      await chrome.storage.local.set(toSet);
+    }
+    if (toRemove.length > 0) {
+      await chrome.storage.local.remove(toRemove);
+    }
+  }
+
+  // Record modification times (and tombstones) for local changes, then schedule a push
+  async function handleLocalChanges(changes) {
+    const keys = Object.keys(changes).filter(key => key === VolumeRules.RULES_KEY || isSiteSettingKey(key));
+    if (keys.length === 0 || !(await isEnabled())) return;
+
+    const result = await chrome.storage.local.get([META_KEY]);
+    const meta = result[META_KEY] || {};
+    const now = Date.now();
+    let metaChanged = false;
+
+    keys.forEach(storageKey => {
+      const change = changes[storageKey];
+
+      if (storageKey === VolumeRules.RULES_KEY) {
+        // Rules carry their own `modified`, only removed rules need tombstones
+        const newKeys = new Set((change.newValue || []).map(ruleKey));
+        (change.oldValue || []).forEach(rule => {
+          const key = ruleKey(rule);
+          // Removals applied from sync already have their tombstone
+          if (!newKeys.has(key) && !(meta[key] && meta[key].x)) {
+            meta[key] = {m: now, x: 1};
+            metaChanged = true;
+          }
+        });
+        return;
+      }
+
+      const key = `site|${storageKey}`;
+      if (change.newValue === undefined) {
+        if (!(meta[key] && meta[key].x)) {
+          meta[key] = {m: now, x: 1};
+          metaChanged = true;
+        }
+      } else {
+        const hash = JSON.stringify(change.newValue);
+        if (!meta[key] || meta[key].h !== hash) {
+          meta[key] = {m: now, h: hash};
+          metaChanged = true;
+        }
+      }
+    });
+
+    if (metaChanged) {
+      await chrome.storage.local.set({[META_KEY]: meta});
+    }
+    schedulePush();
+  }
+
+  // Batch local changes into one sync pass
+  function schedulePush() {
+    if (pushTimer) {
+      clearTimeout(pushTimer);
+    }
+    pushTimer = setTimeout(() => {
+      pushTimer = null;
+      synchronize().catch(() => {
+        // Already recorded in the sync status
+      });
+    }, PUSH_DELAY);
+  }
+
+  // Remember when a site was last visited, for least-recently-used pruning
+  async function recordSiteVisit(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return;
+    }
+    if (!hostname || !(await isEnabled())) return;
+
+    const result = await chrome.storage.local.get([LAST_USED_KEY]);
+    const lastUsed = result[LAST_USED_KEY] || {};
+    const now = Date.now();
+    if (lastUsed[hostname] && now - lastUsed[hostname] < LAST_USED_RESOLUTION) return;
+
+    lastUsed[hostname] = now;
+    await chrome.storage.local.set({[LAST_USED_KEY]: lastUsed});
+  }
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'local') {
+      handleLocalChanges(changes).catch(error => {
+        console.error('Failed to record settings change:', error);
+      });
+    } else if (areaName === 'sync') {
+      schedulePush();
+    }
+  });
+
+  global.SettingsSync = {
+    ENABLED_KEY,
+    STATUS_KEY,
+    isEnabled,
+    setEnabled,
+    synchronize,
+    recordSiteVisit
+  };
+})(globalThis);